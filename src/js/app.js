@@ -6,41 +6,36 @@
 const screens = ['home', 'assistant', 'tracking'];
 let currentScreenIndex = 0;
 let glucoseBlob = null;
-let currentTrendAngle = 45; // Will be randomized on init
+let glucoseStore = null;
+let cgmSource = null;
+let treatmentJournal = null;
+let currentTrendAngle = 45; // Set from the store on init (null = unknown)
 let contextMenuController = null;
 let insulinInputController = null;
 let medInputController = null;
-
-// Trend angles: 0=up (rising fast), 45=up-right (rising), 90=right (stable), 135=down-right (falling), 180=down (falling fast)
-const TREND_ANGLES = [0, 45, 90, 135, 180];
+let mealInputController = null;
+let activityInputController = null;
+let entryEditorController = null;
+let hypoFollowUpController = null;
+let alarmEngine = null;
+let alarmScreenController = null;
+let alertFeedback = null;
+let sensorSession = null;
+let sensorTrackingController = null;
+let trackingNotice = null;
+let penInventory = null;
+let penTrackingController = null;
+let treatmentTimelineController = null;
+let assistantEngine = null;
+let assistantScreenController = null;
+
+// Trend angles (TREND_ANGLES) come from utils/trend.js
 const TREND_ICONS = ['↑', '↗', '→', '↘', '↓'];
 
-// Glucose thresholds and colors
-const GLUCOSE_THRESHOLDS = {
-  DANGER_LOW: 4.0,
-  WARNING_LOW: 4.5,
-  WARNING_HIGH: 9.0,
-  DANGER_HIGH: 10.0
-};
+// Accelerated demo mode: 60× real time (a 5-minute reading every 5 seconds)
+const DEMO_TIME_SCALE = 60;
 
-const GLUCOSE_COLORS = {
-  SAFE: '#7ED321',
-  WARNING: '#FFD700',
-  DANGER: '#FF4444'
-};
-
-/**
- * Get color for glucose value with smooth transitions
- */
-function getColorForGlucose(glucose) {
-  if (glucose < GLUCOSE_THRESHOLDS.DANGER_LOW || glucose > GLUCOSE_THRESHOLDS.DANGER_HIGH) {
-    return GLUCOSE_COLORS.DANGER;
-  }
-  if (glucose < GLUCOSE_THRESHOLDS.WARNING_LOW || glucose > GLUCOSE_THRESHOLDS.WARNING_HIGH) {
-    return GLUCOSE_COLORS.WARNING;
-  }
-  return GLUCOSE_COLORS.SAFE;
-}
+// Glucose zones, colors and target ranges (getColorForGlucose) come from utils/glucose-zones.js
 
 // Swipe detection
 let isDragging = false;
@@ -209,7 +204,8 @@ function handleTouchEnd(e) {
  * Update all time displays with current time
  */
 function updateTime() {
-  const now = new Date();
+  // App clock (runs faster in accelerated demo mode)
+  const now = new Date(window.sweetieClock.now());
   const hours = String(now.getHours()).padStart(2, '0');
   const minutes = String(now.getMinutes()).padStart(2, '0');
   const timeString = `${hours}:${minutes}`;
@@ -224,6 +220,46 @@ function updateTime() {
   if (fixedTimeKnockout) {
     fixedTimeKnockout.textContent = timeString;
   }
+
+  // Insulin on board decays with the same clock
+  updateIobDisplay();
+
+  // Sensor time left on the tracking page
+  if (sensorTrackingController) {
+    sensorTrackingController.update();
+  }
+
+  // Pens age too (shelf life after opening)
+  if (penTrackingController) {
+    penTrackingController.update();
+  }
+
+  // Readings age with it too - flip the stale state and keep a stale value's age current
+  if (glucoseStore) {
+    glucoseStore.checkStale();
+    if (glucoseStore.isStale()) {
+      window.initGraphSlider().refreshTime();
+      if (!isGraphVisible) restoreCurrentGlucose();
+    }
+  }
+}
+
+/**
+ * Stale threshold from settings in ms (15 minutes when unset or invalid)
+ */
+function getStaleAfter() {
+  const minutes = Number(window.sweetieSettings.get('staleAfter'));
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60 * 1000;
+}
+
+/**
+ * Assistant backend from settings ('offline', 'mock' or 'http')
+ */
+function getAssistantProvider() {
+  return createAssistantProvider(window.sweetieSettings.get('assistantProvider'), {
+    engine: assistantEngine,
+    endpoint: window.sweetieSettings.get('assistantEndpoint')
+  });
 }
 
 /**
@@ -273,30 +309,58 @@ function initHomeScreen() {
       // Update glucose text and arrow to match blob
       const glucoseText = document.querySelector('.nav-circle-base .nav-glucose');
       const arrow = document.querySelector('.nav-circle-base .nav-arrow path');
-      if (glucoseText) glucoseText.style.fill = color;
+      if (glucoseText) glucoseText.style.fill = getGlucoseTextColor(color);
       if (arrow) {
         arrow.style.fill = color;
         arrow.style.stroke = color;
       }
     });
 
-    // Get initial glucose from the display (parse from text)
-    const glucoseText = document.querySelector('.nav-circle-base .nav-glucose textPath');
-    const initialGlucose = glucoseText
-      ? parseFloat(glucoseText.textContent.replace(',', '.'))
-      : 6.5;
+    // Initial glucose comes from the store (single source of truth)
+    const initialGlucose = glucoseStore.getCurrentValue() ?? 6.5;
 
     glucoseBlob = new GlucoseBlob(homeScreen, {
       initialGlucose,
+      initialTrend: currentTrendAngle ?? 90,
       baseSize: 85
     });
 
     // Expose globally for transitions
     window.glucoseBlob = glucoseBlob;
 
-    // Set initial arrow position and trend
-    updateArrowPosition();
-    glucoseBlob.setTrendDirection(currentTrendAngle);
+    // Blob follows the store directly (value + trend)
+    glucoseBlob.bindStore(glucoseStore);
+
+    // Nav-circle text and arrow follow the store
+    glucoseStore.subscribe((state) => {
+      if (state.value === null) return;
+      currentTrendAngle = state.trend;
+
+      // While the graph is open the slider owns the text (it may show a past value)
+      if (!isGraphVisible) {
+        renderGlucoseValue(state.value);
+      }
+    });
+
+    // Unit changes only affect formatting - re-render whatever is on screen
+    // Target range changes recolor the blob, graph zones and boundary lines
+    window.sweetieSettings.subscribe((key) => {
+      if (key === 'targetRange') {
+        applyTargetRange();
+      }
+      if (key === 'glucoseUnit' || key === 'targetRange') {
+        refreshGlucoseDisplay();
+      }
+      if (key === 'insulinCurve' || key === 'insulinDuration') {
+        updateIobDisplay();
+      }
+      if (key === 'staleAfter') {
+        glucoseStore.setStaleAfter(getStaleAfter());
+      }
+    });
+
+    // Set initial value, arrow position and trend
+    renderGlucoseValue(initialGlucose);
 
     // Make blob clickable to show graph (but not when dragging)
     setTimeout(() => {
@@ -349,14 +413,97 @@ function updateGlucoseTextColor(color) {
 
 /**
  * Update glucose value (can be called externally)
+ * Writes a new reading to the store - blob, graph and nav text update from there
  */
 function setGlucoseValue(value) {
+  if (glucoseStore) {
+    glucoseStore.addReading(value);
+  }
+}
+
+/**
+ * Display unit chosen in settings ('mmol' or 'mgdl') - values are always stored in mmol/L
+ */
+function getGlucoseUnit() {
+  return window.sweetieSettings.get('glucoseUnit');
+}
+
+/**
+ * Switch the display unit and re-render everything showing a glucose value
+ */
+function setGlucoseUnit(unit) {
+  window.sweetieSettings.set('glucoseUnit', unit);
+}
+
+/**
+ * Set the user's target range from thresholds or a preset name ('standard', 'pregnancy', 'pediatric')
+ * Throws if the thresholds are not in ascending order
+ */
+function setTargetRange(values) {
+  window.sweetieSettings.set('targetRange', createTargetRange(values));
+}
+
+/**
+ * Set the insulin action used for IOB: curve ('rapid', 'ultra-rapid') and duration in hours
+ */
+function setInsulinAction(curve, duration = DEFAULT_INSULIN_DURATION) {
+  if (!INSULIN_CURVES[curve]) {
+    throw new Error(`Unknown insulin curve: ${curve}`);
+  }
+  window.sweetieSettings.set('insulinCurve', curve);
+  window.sweetieSettings.set('insulinDuration', duration);
+}
+
+/**
+ * Push the current target range to the blob and graph (colors, zones, boundary lines)
+ */
+function applyTargetRange() {
+  const range = getTargetRange();
+
   if (glucoseBlob) {
-    glucoseBlob.setGlucose(value);
+    glucoseBlob.setGlucose(glucoseBlob.glucoseValue);
   }
+  if (typeof window.initGraphSlider === 'function') {
+    window.initGraphSlider().applyTargetRange(range);
+  }
+}
+
+/**
+ * Re-render glucose text after a unit change (graph scrub value or current value)
+ */
+function refreshGlucoseDisplay() {
+  if (isGraphVisible && typeof window.initGraphSlider === 'function') {
+    const graphSlider = window.initGraphSlider();
+    graphSlider.renderDotAtX(graphSlider.currentX);
+  } else {
+    restoreCurrentGlucose();
+  }
+}
+
+/**
+ * Latest reading is too old to trust (only when showing current data, not graph scrubbing)
+ */
+function isShowingStaleGlucose() {
+  return !isGraphVisible && glucoseStore !== null && glucoseStore.isStale();
+}
+
+/**
+ * Stale values are drawn in the faded text color instead of their zone color
+ */
+function getGlucoseTextColor(color) {
+  return isShowingStaleGlucose() ? 'var(--color-faded-text)' : color;
+}
 
-  // Format with comma for European style
-  const formattedValue = value.toFixed(1).replace('.', ',');
+/**
+ * Render a glucose value on the nav circle (base and knockout layers)
+ * A stale value shows its age instead of the trend arrow ("6,5 · 22 min")
+ */
+function renderGlucoseValue(value) {
+  // mmol/L with European comma (6,5) or whole mg/dL (117)
+  let formattedValue = formatGlucose(value, getGlucoseUnit());
+  if (isShowingStaleGlucose()) {
+    formattedValue += ` · ${formatAge(glucoseStore.getAge() / 60000)}`;
+  }
 
   // Update the displayed value (base layer)
   const glucoseText = document.querySelector('.nav-circle-base .nav-glucose textPath');
@@ -376,7 +523,7 @@ function setGlucoseValue(value) {
   const glucoseArrow = document.querySelector('.nav-circle-base .nav-arrow path');
 
   if (glucoseTextElement) {
-    glucoseTextElement.style.fill = blobColor;
+    glucoseTextElement.style.fill = getGlucoseTextColor(blobColor);
   }
   if (glucoseArrow) {
     glucoseArrow.style.fill = blobColor;
@@ -387,6 +534,26 @@ function setGlucoseValue(value) {
   updateArrowPosition();
 }
 
+/**
+ * Show insulin on board below the time ("IOB 2,4 j"), empty when nothing is active
+ */
+function updateIobDisplay() {
+  if (!treatmentJournal) return;
+
+  const iob = calculateIob(treatmentJournal.getEntries(), window.sweetieClock.now());
+  const iobString = iob >= 0.05 ? `IOB ${formatInsulin(iob)}` : '';
+
+  const iobText = document.querySelector('.nav-circle-base .nav-iob textPath');
+  const iobTextKnockout = document.querySelector('.nav-circle-knockout .nav-iob-knockout textPath');
+
+  if (iobText) {
+    iobText.textContent = iobString;
+  }
+  if (iobTextKnockout) {
+    iobTextKnockout.textContent = iobString;
+  }
+}
+
 /**
  * Update arrow position to maintain consistent spacing from glucose text
  */
@@ -397,6 +564,12 @@ function updateArrowPosition() {
 
   if (!glucoseTextElement || !arrow) return;
 
+  // Hide arrow when trend is unknown (not enough recent readings) or out of date
+  const hasTrend = currentTrendAngle !== null && !isShowingStaleGlucose();
+  arrow.style.visibility = hasTrend ? '' : 'hidden';
+  if (arrowKnockout) arrowKnockout.style.visibility = hasTrend ? '' : 'hidden';
+  if (!hasTrend) return;
+
   // Get the bounding box of the glucose text
   const textBBox = glucoseTextElement.getBBox();
 
@@ -423,34 +596,30 @@ function updateArrowPosition() {
 }
 
 /**
- * Set the trend direction and update blob movement
+ * Set the trend direction (store notifies blob, arrow and graph)
  */
 function setTrendDirection(stepIndex) {
-  currentTrendAngle = TREND_ANGLES[stepIndex];
-  updateArrowPosition();
-
-  // Update blob movement direction
-  if (glucoseBlob) {
-    glucoseBlob.setTrendDirection(currentTrendAngle);
+  if (glucoseStore) {
+    glucoseStore.setTrend(TREND_ANGLES[stepIndex]);
   }
 }
 
 /**
  * Update trend direction from a discrete angle (0, 45, 90, 135, 180)
- * Called by graph slider when slope changes
+ * Called by graph slider when the scrubbed moment's trend changes
  */
 function updateTrendFromAngle(angle) {
-  // Angle is already one of 5 discrete values: 0, 45, 90, 135, 180
+  // Angle is one of 5 discrete values: 0, 45, 90, 135, 180 - or null when unknown
   currentTrendAngle = angle;
 
   // Update blob movement direction
-  if (glucoseBlob) {
+  if (glucoseBlob && angle !== null) {
     glucoseBlob.setTrendDirection(angle);
   }
 
   // Update debug trend button rotation
   const trendArrowBtn = document.querySelector('.trend-arrow-btn svg');
-  if (trendArrowBtn) {
+  if (trendArrowBtn && angle !== null) {
     trendArrowBtn.style.transform = `rotate(${angle}deg)`;
   }
 
@@ -463,7 +632,9 @@ window.Sweetie = {
   setGlucose: setGlucoseValue,
   setTrend: setTrendDirection,
   updateTrendFromAngle: updateTrendFromAngle,
-  generateGraphForTrend: generateGraphForTrend
+  setUnit: setGlucoseUnit,
+  setTargetRange: setTargetRange,
+  setInsulinAction: setInsulinAction
 };
 
 /**
@@ -541,10 +712,8 @@ function toggleGraphView() {
     // Show blob: fade out graph, fade in blob
     graph.classList.remove('visible');
 
-    // Restore glucose display to current blob value (don't reset slider position yet)
-    if (glucoseBlob) {
-      setGlucoseValue(glucoseBlob.glucoseValue);
-    }
+    // Restore glucose display to the current stored value (don't reset slider position yet)
+    restoreCurrentGlucose();
 
     setTimeout(() => {
       graph.classList.add('hidden');
@@ -574,6 +743,25 @@ function toggleGraphView() {
   }
 }
 
+/**
+ * Restore nav text, arrow and blob direction to the latest stored reading
+ * (graph scrubbing temporarily shows past values and slopes)
+ */
+function restoreCurrentGlucose() {
+  if (!glucoseStore) return;
+
+  const trend = glucoseStore.getTrend();
+  currentTrendAngle = trend;
+  if (trend !== null && glucoseBlob) {
+    glucoseBlob.setTrendDirection(trend);
+  }
+
+  const value = glucoseStore.getCurrentValue();
+  if (value !== null) {
+    renderGlucoseValue(value);
+  }
+}
+
 /**
  * Reset to home view (hide graph, show blob)
  * Called when returning from other screens like insulin input
@@ -598,6 +786,9 @@ function resetToHomeView() {
   isGraphVisible = false;
   isAnimating = false;
 
+  // Vrati prikaz na trenutnu vrijednost
+  restoreCurrentGlucose();
+
   // Resetiraj graph slider
   if (window.initGraphSlider) {
     const slider = window.initGraphSlider();
@@ -645,71 +836,123 @@ function initDebugSlider() {
     debugPanel.classList.toggle('open');
   });
 
-  // Update glucose on slider change
-  slider.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    setGlucoseValue(value);
-    valueDisplay.textContent = value.toFixed(1).replace('.', ',');
+  // Trend arrow button
+  const trendArrowBtn = document.querySelector('.trend-arrow-btn');
+
+  // Slider works in the display unit - values are converted to mmol/L before reaching the store
+  const applySliderRange = () => {
+    const range = getGlucoseInputRange(getGlucoseUnit());
+    slider.min = range.min;
+    slider.max = range.max;
+    slider.step = range.step;
+  };
+
+  const readSliderValue = () => unitToMmol(parseFloat(slider.value), getGlucoseUnit());
+
+  // Mirror the store in the debug controls (value, thumb and text color, trend)
+  const syncDebugControls = (state) => {
+    if (state.value === null) return;
+
+    const unit = getGlucoseUnit();
+    slider.value = mmolToUnit(state.value, unit);
+    valueDisplay.textContent = formatGlucose(state.value, unit);
 
     // Update slider thumb and value display color (includes warning yellow)
-    const color = glucoseBlob ? glucoseBlob.getColor() : getColorForGlucose(value);
+    const color = glucoseBlob ? glucoseBlob.getColor() : getColorForGlucose(state.value);
     slider.style.setProperty('--thumb-color', color);
     valueDisplay.style.color = color;
 
     // Update thumb color via CSS variable
     document.documentElement.style.setProperty('--slider-thumb-color', color);
-  });
 
-  // Generate new graph when slider is released (using current trend)
-  const generateGraphForGlucose = () => {
-    const graphSlider = window.initGraphSlider ? window.initGraphSlider() : null;
-    if (graphSlider && graphSlider.generateRandomPath && graphSlider.glucoseToY) {
-      const value = parseFloat(slider.value);
-      const targetY = graphSlider.glucoseToY(value);
-      // Use current trend angle when generating new graph
-      const newPath = graphSlider.generateRandomPath(targetY, currentTrendAngle);
-      graphSlider.updateGraphPath(newPath);
+    const trendIndex = TREND_ANGLES.indexOf(state.trend);
+    if (trendArrowBtn && trendIndex !== -1) {
+      updateTrendArrowButton(trendArrowBtn, trendIndex);
     }
   };
 
-  slider.addEventListener('mouseup', generateGraphForGlucose);
-  slider.addEventListener('touchend', generateGraphForGlucose);
+  applySliderRange();
+  glucoseStore.subscribe(syncDebugControls);
+  syncDebugControls(glucoseStore.getState());
 
-  // Trend arrow button
-  const trendArrowBtn = document.querySelector('.trend-arrow-btn');
-  let currentTrendIndex = TREND_ANGLES.indexOf(currentTrendAngle);
-  if (currentTrendIndex === -1) currentTrendIndex = 1;
+  // Live preview while dragging - edits the latest reading in place
+  slider.addEventListener('input', () => {
+    glucoseStore.setCurrentValue(readSliderValue());
+  });
 
-  if (trendArrowBtn) {
+  // Commit as a new reading when slider is released (graph is rebuilt from the store)
+  const commitGlucoseReading = () => {
+    setGlucoseValue(readSliderValue());
+  };
+
+  slider.addEventListener('mouseup', commitGlucoseReading);
+  slider.addEventListener('touchend', commitGlucoseReading);
 
+  if (trendArrowBtn) {
     trendArrowBtn.addEventListener('click', () => {
-      // Cycle through 5 positions: 0 → 1 → 2 → 3 → 4 → 0
-      currentTrendIndex = (currentTrendIndex + 1) % 5;
-      setTrendDirection(currentTrendIndex);
-      updateTrendArrowButton(trendArrowBtn, currentTrendIndex);
+      // Cycle through 5 positions: 0 → 1 → 2 → 3 → 4 → 0 (next sensor reading takes over again)
+      const currentTrendIndex = TREND_ANGLES.indexOf(glucoseStore.getTrend());
+      // Graph, arrow and debug button update from the store's trend change
+      setTrendDirection((currentTrendIndex + 1) % 5);
+    });
+  }
 
-      // Generate new graph with matching trend direction
-      generateGraphForTrend(TREND_ANGLES[currentTrendIndex]);
+  // Demo speed button: real time ↔ accelerated (one 5-min reading every 5 s)
+  const speedBtn = document.querySelector('.speed-btn');
+  if (speedBtn) {
+    speedBtn.addEventListener('click', () => {
+      const clock = window.sweetieClock;
+      const scale = clock.getTimeScale() === 1 ? DEMO_TIME_SCALE : 1;
+      clock.setTimeScale(scale);
+      speedBtn.textContent = `${scale}×`;
+      speedBtn.classList.toggle('active', scale !== 1);
+      updateTime();
     });
   }
-}
 
-/**
- * Generate a new graph that matches the given trend angle
- */
-function generateGraphForTrend(trendAngle) {
-  const graphSlider = window.initGraphSlider ? window.initGraphSlider() : null;
-  const glucoseSlider = document.getElementById('glucose-slider');
+  // Unit button: mmol/L ↔ mg/dL (persisted in settings)
+  const unitBtn = document.querySelector('.unit-btn');
+  const updateUnitButton = () => {
+    if (unitBtn) {
+      unitBtn.textContent = getGlucoseUnitLabel(getGlucoseUnit());
+    }
+  };
 
-  if (graphSlider && graphSlider.generateRandomPath && graphSlider.glucoseToY) {
-    // Get current glucose value
-    const glucoseValue = glucoseSlider ? parseFloat(glucoseSlider.value) : 6.5;
-    const targetY = graphSlider.glucoseToY(glucoseValue);
+  if (unitBtn) {
+    unitBtn.addEventListener('click', () => {
+      const unit = getGlucoseUnit() === GLUCOSE_UNITS.MMOL ? GLUCOSE_UNITS.MGDL : GLUCOSE_UNITS.MMOL;
+      setGlucoseUnit(unit);
+    });
+  }
+
+  // Target range button: cycles through presets (standard → pregnancy → pediatric)
+  const rangeBtn = document.querySelector('.range-btn');
+  const presetNames = Object.keys(TARGET_RANGE_PRESETS);
+  const updateRangeButton = () => {
+    if (!rangeBtn) return;
+    const presetName = getTargetRangePresetName(getTargetRange());
+    rangeBtn.textContent = presetName === 'custom' ? 'Vlastiti' : TARGET_RANGE_PRESETS[presetName].label;
+  };
 
-    // Generate new path with the specified trend
-    const newPath = graphSlider.generateRandomPath(targetY, trendAngle);
-    graphSlider.updateGraphPath(newPath);
+  if (rangeBtn) {
+    rangeBtn.addEventListener('click', () => {
+      const current = presetNames.indexOf(getTargetRangePresetName(getTargetRange()));
+      setTargetRange(presetNames[(current + 1) % presetNames.length]);
+    });
   }
+
+  window.sweetieSettings.subscribe((key) => {
+    if (key === 'glucoseUnit') {
+      applySliderRange();
+      updateUnitButton();
+    }
+    if (key === 'targetRange') {
+      updateRangeButton();
+    }
+    syncDebugControls(glucoseStore.getState());
+  });
+  updateUnitButton();
+  updateRangeButton();
 }
 
 /**
@@ -723,44 +966,103 @@ function updateTrendArrowButton(btn, index) {
 }
 
 /**
- * Generate random initial glucose and trend values
+ * Get simulator seed from the URL (?seed=42) so demos can be replayed, random otherwise
  */
-function randomizeInitialValues() {
-  // Random glucose between 3.5 and 11.0
-  const randomGlucose = (Math.random() * 7.5 + 3.5).toFixed(1);
-  const formattedGlucose = randomGlucose.replace('.', ',');
+function getSimulatorSeed() {
+  const seedParam = new URLSearchParams(window.location.search).get('seed');
+  const seed = parseInt(seedParam, 10);
+  return Number.isNaN(seed) ? Math.floor(Math.random() * 100000) : seed;
+}
 
-  // Random trend angle from TREND_ANGLES
-  const randomTrendIndex = Math.floor(Math.random() * TREND_ANGLES.length);
-  currentTrendAngle = TREND_ANGLES[randomTrendIndex];
+/**
+ * Set up the CGM feed - it starts once the journal has loaded (initTreatmentJournal), so the
+ * backfilled history already shows past treatments; then it pushes a reading every 5 min
+ */
+function initCgmFeed() {
+  cgmSource = new SimulatedCgmSource({
+    seed: getSimulatorSeed(),
+    clock: window.sweetieClock
+  });
 
-  // Update HTML glucose values
-  const glucoseTextBase = document.querySelector('.nav-circle-base .nav-glucose textPath');
-  const glucoseTextKnockout = document.querySelector('.nav-circle-knockout .nav-glucose-knockout textPath');
-  if (glucoseTextBase) glucoseTextBase.textContent = formattedGlucose;
-  if (glucoseTextKnockout) glucoseTextKnockout.textContent = formattedGlucose;
+  // Store derives the trend from the readings (rate of change)
+  cgmSource.onReadings((readings) => {
+    glucoseStore.addReadings(readings);
+  });
 
-  // Update debug slider
-  const slider = document.getElementById('glucose-slider');
-  const valueDisplay = document.querySelector('.glucose-value');
-  if (slider) slider.value = randomGlucose;
-  if (valueDisplay) valueDisplay.textContent = formattedGlucose;
+  // Expose for debugging
+  window.cgmSource = cgmSource;
+}
 
-  // Update debug slider colors
-  const color = getColorForGlucose(parseFloat(randomGlucose));
-  if (valueDisplay) valueDisplay.style.color = color;
-  document.documentElement.style.setProperty('--slider-thumb-color', color);
+/**
+ * Open the treatment journal - saved entries still acting, and new, edited and deleted
+ * entries, also feed the simulated sensor, which starts once the saved entries are in
+ */
+function initTreatmentJournal() {
+  treatmentJournal = new TreatmentJournal({
+    now: () => window.sweetieClock.now()
+  });
 
-  // Update trend arrow button rotation
-  const trendArrowBtn = document.querySelector('.trend-arrow-btn svg');
-  if (trendArrowBtn) {
-    trendArrowBtn.style.transform = `rotate(${currentTrendAngle}deg)`;
-  }
+  treatmentJournal.subscribe((entry, change) => {
+    if (cgmSource && change === 'load') {
+      feedRecentTreatments();
+      cgmSource.start();
+    }
+    if (cgmSource && (change === 'update' || change === 'remove')) {
+      cgmSource.removeTreatment(entry.id);
+    }
+    if (cgmSource && (change === 'add' || change === 'update')) {
+      cgmSource.addTreatment(entry);
+    }
+    updateIobDisplay();
+  });
+
+  treatmentJournal.open().catch((error) => {
+    console.warn('Treatment journal could not be opened', error);
+    if (cgmSource) cgmSource.start();
+  });
+
+  // Expose for debugging
+  window.treatmentJournal = treatmentJournal;
+}
+
+/**
+ * Hand the simulated sensor the entries from before a reload that still act - the source
+ * says how long each type acts (entries logged while the journal opened are re-added once)
+ */
+function feedRecentTreatments() {
+  const now = window.sweetieClock.now();
+
+  treatmentJournal.getEntries({ to: now }).forEach((entry) => {
+    if (entry.timestamp < now - cgmSource.getTreatmentWindow(entry.type)) return;
+    cgmSource.removeTreatment(entry.id);
+    cgmSource.addTreatment(entry);
+  });
+}
+
+/**
+ * Record a treatment logged on the watch
+ * Resolves to the stored entry (undefined when it could not be logged)
+ */
+function logTreatment(treatment) {
+  return treatmentJournal.add({ ...treatment, source: 'manual' })
+    .catch(error => console.warn('Treatment not logged', error));
 }
 
 // Start the app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-  randomizeInitialValues();
+  // Create the glucose store before anything subscribes to it
+  glucoseStore = new GlucoseStore({
+    now: () => window.sweetieClock.now(),
+    staleAfter: getStaleAfter(),
+    trendCalculator: calculateTrend
+  });
+  window.glucoseStore = glucoseStore;
+
+  // Seed the store from the CGM feed (history + current value and trend)
+  initCgmFeed();
+  initTreatmentJournal();
+  currentTrendAngle = glucoseStore.getTrend() ?? 90;
+
   init();
   initHomeScreen();
   initDebugSlider();
@@ -780,6 +1082,123 @@ document.addEventListener('DOMContentLoaded', () => {
     medInputController = new MedInputController();
   }
 
+  // Initialize meal input controller
+  if (window.MealInputController) {
+    mealInputController = new MealInputController();
+  }
+
+  // Initialize activity input controller
+  if (window.ActivityInputController) {
+    activityInputController = new ActivityInputController();
+  }
+
+  // Initialize entry editor (opened from graph markers)
+  if (window.EntryEditorController) {
+    entryEditorController = new EntryEditorController();
+  }
+
+  // Initialize hypo follow-up (re-check after honey taken while low)
+  if (window.HypoFollowUpController) {
+    hypoFollowUpController = new HypoFollowUpController({
+      journal: treatmentJournal,
+      store: glucoseStore,
+      clock: window.sweetieClock
+    });
+  }
+
+  // Initialize glucose alarms (full-screen alert until acknowledged)
+  if (window.AlarmEngine) {
+    alarmEngine = new AlarmEngine({
+      store: glucoseStore,
+      clock: window.sweetieClock,
+      settings: window.sweetieSettings,
+      journal: treatmentJournal
+    });
+    window.alarmEngine = alarmEngine; // For debugging
+
+    if (window.AlarmScreenController) {
+      alarmScreenController = new AlarmScreenController(alarmEngine);
+    }
+
+    // Vibration and tones for the most urgent alarm on every alert and repeat
+    if (window.AlertFeedback) {
+      alertFeedback = new AlertFeedback({ settings: window.sweetieSettings });
+      alarmEngine.subscribe((alarm, event) => {
+        const active = alarmEngine.getActiveAlarm();
+        if (event === 'alert' && active) {
+          alertFeedback.play(getAlertPatternName(active));
+        } else if (!active) {
+          alertFeedback.stop();
+        }
+      });
+    }
+    alarmEngine.start();
+  }
+
+  // Supply notices (sensor expiry, pens) shared by the tracking page
+  if (window.TrackingNotice) {
+    trackingNotice = new TrackingNotice();
+  }
+
+  // Initialize sensor session (tracking page ring, expiry notices)
+  if (window.SensorSession) {
+    sensorSession = new SensorSession({
+      journal: treatmentJournal,
+      clock: window.sweetieClock,
+      settings: window.sweetieSettings
+    });
+    window.sensorSession = sensorSession; // For debugging
+
+    if (window.SensorTrackingController) {
+      sensorTrackingController = new SensorTrackingController(sensorSession, trackingNotice);
+    }
+  }
+
+  // Initialize pen inventory (units left, shelf life)
+  if (window.PenInventory) {
+    penInventory = new PenInventory({ clock: window.sweetieClock, journal: treatmentJournal });
+    window.penInventory = penInventory; // For debugging
+
+    if (window.PenTrackingController) {
+      penTrackingController = new PenTrackingController(penInventory, trackingNotice);
+    }
+  }
+
+  // Initialize today's timeline (opened from the tracking page)
+  if (window.TreatmentTimelineController) {
+    treatmentTimelineController = new TreatmentTimelineController({
+      journal: treatmentJournal,
+      store: glucoseStore,
+      clock: window.sweetieClock
+    });
+  }
+
+  // Initialize the assistant - offline engine, or a mock / HTTP language model from settings
+  if (window.AssistantEngine) {
+    assistantEngine = new AssistantEngine({
+      store: glucoseStore,
+      journal: treatmentJournal,
+      sensorSession,
+      clock: window.sweetieClock,
+      settings: window.sweetieSettings
+    });
+    window.assistantEngine = assistantEngine; // For debugging
+
+    if (window.AssistantScreenController) {
+      assistantScreenController = new AssistantScreenController(getAssistantProvider(), () => buildAssistantContext({
+        store: glucoseStore,
+        journal: treatmentJournal,
+        settings: window.sweetieSettings
+      }));
+
+      window.sweetieSettings.subscribe((key) => {
+        if (key === 'assistantProvider' || key === 'assistantEndpoint') {
+          assistantScreenController.setProvider(getAssistantProvider());
+        }
+      });
+    }
+  }
+
   // Listen for context menu actions
   document.addEventListener('contextMenuAction', (e) => {
     const action = e.detail.action;
@@ -822,25 +1241,85 @@ document.addEventListener('DOMContentLoaded', () => {
         break;
 
       case 'meal':
+        // Show meal input screen immediately (on top of context menu)
+        if (mealInputController) {
+          mealInputController.show();
+        }
+
+        // After meal screen is visible, reset context menu and hide home
+        setTimeout(() => {
+          const homeScreen = document.querySelector('[data-screen="home"]');
+          if (homeScreen) homeScreen.classList.remove('active');
+
+          if (contextMenuController) {
+            contextMenuController.resetState();
+          }
+        }, 300);
+        break;
+
       case 'activity':
-        console.log(`${action} input - coming soon`);
+        // Show activity input screen immediately (on top of context menu)
+        if (activityInputController) {
+          activityInputController.show();
+        }
+
+        // After activity screen is visible, reset context menu and hide home
+        setTimeout(() => {
+          const homeScreen = document.querySelector('[data-screen="home"]');
+          if (homeScreen) homeScreen.classList.remove('active');
+
+          if (contextMenuController) {
+            contextMenuController.resetState();
+          }
+        }, 300);
         break;
     }
   });
 
-  // Listen for insulin logged event
+  // Listen for insulin logged event - recorded in the journal
   document.addEventListener('insulinLogged', (e) => {
-    console.log('Insulin logged:', e.detail);
+    logTreatment({ type: e.detail.type, amount: e.detail.units, timestamp: e.detail.timestamp });
   });
 
   // Listen for med logged event
   document.addEventListener('medLogged', (e) => {
-    console.log('Med logged:', e.detail);
+    logTreatment({ type: 'med', amount: e.detail.units, timestamp: e.detail.timestamp })
+      .then(entry => hypoFollowUpController && hypoFollowUpController.track(entry));
+  });
+
+  // Listen for meal logged event (amount in grams of carbohydrate)
+  document.addEventListener('mealLogged', (e) => {
+    logTreatment({ type: 'meal', amount: e.detail.grams, timestamp: e.detail.timestamp });
   });
 
-  // Generate initial graph with current random trend
+  // Listen for activity logged event (amount in minutes, kind and intensity as details)
+  document.addEventListener('activityLogged', (e) => {
+    logTreatment({
+      type: 'activity',
+      amount: e.detail.minutes,
+      details: { activity: e.detail.activity, intensity: e.detail.intensity }
+    });
+  });
+
+  // Tapping a graph marker opens the entry for editing
+  document.addEventListener('treatmentSelected', (e) => {
+    if (!entryEditorController) return;
+    entryEditorController.show(e.detail.id);
+
+    // After the editor is visible, hide home (the graph stays open behind it)
+    setTimeout(() => {
+      const homeScreen = document.querySelector('[data-screen="home"]');
+      if (homeScreen) homeScreen.classList.remove('active');
+    }, 300);
+  });
+
+  // Bind graph to the store and journal (builds the initial graph and treatment markers)
   setTimeout(() => {
-    generateGraphForTrend(currentTrendAngle);
+    if (window.initGraphSlider) {
+      const graphSlider = window.initGraphSlider();
+      graphSlider.bindStore(glucoseStore);
+      graphSlider.bindJournal(treatmentJournal);
+    }
 
     // Update ALL colors to match blob
     if (glucoseBlob) {
@@ -854,7 +1333,7 @@ document.addEventListener('DOMContentLoaded', () => {
       // Glucose text and arrow on watch face
       const glucoseText = document.querySelector('.nav-circle-base .nav-glucose');
       const arrow = document.querySelector('.nav-circle-base .nav-arrow path');
-      if (glucoseText) glucoseText.style.fill = color;
+      if (glucoseText) glucoseText.style.fill = getGlucoseTextColor(color);
       if (arrow) {
         arrow.style.fill = color;
         arrow.style.stroke = color;
@@ -0,0 +1,162 @@
+/**
+ * Activity Input Controller
+ * Handles the activity logging flow with M3 Expressive animations
+ * Activity kind and intensity tabs, duration picker in steps of 5 minutes
+ */
+
+class ActivityInputController {
+  constructor() {
+    this.screen = document.querySelector('[data-screen="activity-input"]');
+
+    // State
+    this.selectedActivity = 'walk';    // Key of ACTIVITY_TYPES
+    this.selectedIntensity = 'medium'; // Key of ACTIVITY_INTENSITIES
+    this.minuteStep = 5;
+    this.minMinutes = 5;
+    this.maxMinutes = 180;
+    this.defaultMinutes = 30;
+    this.selectedMinutes = this.defaultMinutes;
+
+    // Elements
+    this.activityTabs = null;
+    this.intensityTabs = null;
+    this.picker = null; // NumberPicker for minutes
+    this.confirmBtn = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.screen) return;
+
+    this.activityTabs = this.screen.querySelectorAll('.activity-tab');
+    this.intensityTabs = this.screen.querySelectorAll('.intensity-tab');
+    this.confirmBtn = this.screen.querySelector('.confirm-btn');
+
+    // Prevent page swipes when on this screen
+    this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchmove', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchend', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('mousedown', (e) => e.stopPropagation());
+    this.screen.addEventListener('mousemove', (e) => e.stopPropagation());
+    this.screen.addEventListener('mouseup', (e) => e.stopPropagation());
+
+    // Picker drag/scroll
+    this.picker = new NumberPicker(this.screen.querySelector('.number-picker'), {
+      containerCenter: 64, // Half of 128px container (shorter picker, two tab rows above)
+      onStep: (direction) => this.incrementMinutes(direction)
+    });
+
+    // Generate picker numbers
+    this.generatePickerItems();
+
+    // Tab selection
+    this.activityTabs.forEach(tab => {
+      tab.addEventListener('click', () => this.selectActivity(tab.dataset.activity));
+    });
+    this.intensityTabs.forEach(tab => {
+      tab.addEventListener('click', () => this.selectIntensity(tab.dataset.intensity));
+    });
+
+    // Confirm button
+    if (this.confirmBtn) {
+      this.confirmBtn.addEventListener('click', () => this.confirm());
+    }
+  }
+
+  generatePickerItems() {
+    const minutes = [];
+    for (let value = this.minMinutes; value <= this.maxMinutes; value += this.minuteStep) minutes.push(value);
+
+    this.picker.setItems(minutes);
+    this.updatePickerDisplay();
+  }
+
+  updatePickerDisplay(animate = true) {
+    this.picker.select((this.selectedMinutes - this.minMinutes) / this.minuteStep, animate);
+  }
+
+  /**
+   * Move the picker by a number of 5-minute steps
+   */
+  incrementMinutes(steps) {
+    const newValue = this.selectedMinutes + steps * this.minuteStep;
+    if (newValue >= this.minMinutes && newValue <= this.maxMinutes) {
+      this.selectedMinutes = newValue;
+      this.updatePickerDisplay();
+    }
+  }
+
+  selectActivity(activity) {
+    this.selectedActivity = activity;
+
+    this.activityTabs.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.activity === activity);
+    });
+  }
+
+  selectIntensity(intensity) {
+    this.selectedIntensity = intensity;
+
+    this.intensityTabs.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.intensity === intensity);
+    });
+  }
+
+  /**
+   * Show the activity input screen with animation
+   */
+  show() {
+    if (!this.screen) return;
+
+    hideFixedTime(this.screen);
+
+    // Reset to defaults
+    this.selectedMinutes = this.defaultMinutes;
+    this.selectActivity('walk');
+    this.selectIntensity('medium');
+
+    // Set initial position without animation
+    this.updatePickerDisplay(false);
+
+    // Animate in
+    this.screen.classList.add('active');
+  }
+
+  /**
+   * Hide the activity input screen
+   */
+  hide() {
+    if (!this.screen) return;
+    this.screen.classList.remove('active');
+  }
+
+  /**
+   * Confirm the activity entry and show confirmation
+   * Same animation as insulin confirmation
+   */
+  confirm() {
+    const minutes = this.selectedMinutes;
+    const activity = this.selectedActivity;
+    const intensity = this.selectedIntensity;
+    const label = `${ACTIVITY_TYPES[activity].label} ${minutes} min`;
+
+    playLogConfirmation({
+      screen: this.screen,
+      inputContent: this.screen.querySelector('.activity-input-content'),
+      confirmBtn: this.confirmBtn,
+      text: label,
+      onComplete: () => {
+        console.log(`Activity logged: ${label} (${intensity})`);
+
+        // Dispatch event
+        document.dispatchEvent(new CustomEvent('activityLogged', {
+          detail: { activity, intensity, minutes }
+        }));
+      }
+    });
+  }
+}
+
+// Export
+window.ActivityInputController = ActivityInputController;
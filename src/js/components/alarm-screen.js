@@ -0,0 +1,108 @@
+/**
+ * Alarm Screen Controller
+ * Full-screen alert for the alarm engine: stays up until the user taps "U redu",
+ * which snoozes that alarm. With several alarms alerting, the most urgent is shown first.
+ */
+
+// Accent per alarm (lows are dangerous, highs, fast changes and lost signal a warning)
+const ALARM_ACCENTS = {
+  urgentLow: 'panic',
+  urgentLowSoon: 'panic',
+  low: 'panic',
+  high: 'warning',
+  rateOfChange: 'warning',
+  signalLoss: 'warning'
+};
+
+class AlarmScreenController {
+  /**
+   * @param {AlarmEngine} engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.screen = document.querySelector('[data-screen="alarm"]');
+    this.alarm = null; // Alarm on screen
+
+    this.init();
+  }
+
+  init() {
+    if (!this.screen) return;
+
+    // Nothing behind the alarm can be swiped or tapped until it is acknowledged
+    this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchmove', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('mousedown', (e) => e.stopPropagation());
+
+    this.screen.querySelector('.alarm-ack-btn').addEventListener('click', () => this.acknowledge());
+
+    this.engine.subscribe(() => this.update());
+    this.update();
+  }
+
+  /**
+   * Show the most urgent alerting alarm, or hide when none is left
+   */
+  update() {
+    const alarm = this.engine.getActiveAlarm();
+    if (alarm) {
+      this.show(alarm);
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * "HITNO NISKO · 2,8 mmol/L · od 08:45" ("za 15 min" when the low is only forecast,
+   * "zadnje 08:25" with the time of the last reading when the signal is lost)
+   */
+  show(alarm) {
+    if (!this.screen) return;
+
+    this.alarm = alarm;
+
+    const unit = window.sweetieSettings.get('glucoseUnit');
+    this.screen.dataset.accent = ALARM_ACCENTS[alarm.type];
+    this.screen.querySelector('.alarm-title').textContent = alarm.label;
+    this.screen.querySelector('.alarm-value').textContent = alarm.value !== null
+      ? formatGlucose(alarm.value, unit)
+      : '';
+    this.screen.querySelector('.alarm-unit').textContent = alarm.value !== null ? getGlucoseUnitLabel(unit) : '';
+    this.screen.querySelector('.alarm-since').textContent = this.getTimeText(alarm);
+
+    hideFixedTime(this.screen);
+
+    this.screen.classList.add('active');
+  }
+
+  getTimeText(alarm) {
+    if (alarm.type === 'urgentLowSoon' && alarm.forecastLow) {
+      const minutes = Math.max(0, Math.round((alarm.forecastLow.timestamp - window.sweetieClock.now()) / 60000));
+      return `za ${minutes} min`;
+    }
+    if (alarm.type === 'signalLoss') {
+      return alarm.timestamp ? `zadnje ${formatClockTime(alarm.timestamp)}` : '';
+    }
+    return alarm.since ? `od ${formatClockTime(alarm.since)}` : '';
+  }
+
+  hide() {
+    if (!this.screen || !this.alarm) return;
+
+    this.screen.classList.remove('active');
+    this.alarm = null;
+
+    showFixedTime(this.screen);
+  }
+
+  /**
+   * Snooze the alarm on screen (the engine then reports the next one, if any)
+   */
+  acknowledge() {
+    if (!this.alarm) return;
+    this.engine.acknowledge(this.alarm.type);
+  }
+}
+
+// Export
+window.AlarmScreenController = AlarmScreenController;
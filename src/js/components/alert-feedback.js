@@ -0,0 +1,187 @@
+/**
+ * Alert Feedback
+ * Vibration (Vibration API) and synthesised tones (Web Audio) for glucose alarms, so an
+ * alert is felt and heard on the wrist. Each kind has its own rhythm: lows fall in pitch,
+ * highs rise, urgent alarms are long, loud and insistent.
+ * Does nothing where the APIs are missing (desktop browsers, headless tests).
+ */
+
+// tones: [frequency Hz, duration ms] - frequency 0 is a pause
+const ALERT_PATTERNS = {
+  urgent: {
+    vibration: [400, 120, 400, 120, 400, 120, 800],
+    tones: [[880, 180], [0, 60], [880, 180], [0, 60], [880, 180], [0, 60], [1175, 480]],
+    volume: 0.5
+  },
+  low: {
+    vibration: [250, 150, 250, 150, 500],
+    tones: [[784, 200], [0, 80], [659, 200], [0, 80], [523, 380]],
+    volume: 0.35
+  },
+  high: {
+    vibration: [150, 200, 150],
+    tones: [[523, 160], [0, 80], [659, 160], [0, 80], [784, 260]],
+    volume: 0.25
+  },
+  signal: {
+    vibration: [100, 300, 100],
+    tones: [[440, 120], [0, 240], [440, 120]],
+    volume: 0.2
+  }
+};
+
+const ALERT_MODES = ['normal', 'silent', 'test'];
+
+class AlertFeedback {
+  /**
+   * @param {Object} options - { settings }
+   */
+  constructor(options = {}) {
+    this.settings = options.settings || window.sweetieSettings;
+
+    this.audioContext = null; // Created on first use (browsers allow it after a user gesture)
+    this.oscillators = [];
+    this.played = [];         // Test mode: pattern names instead of sound and vibration
+  }
+
+  /**
+   * 'normal', 'silent' (no output) or 'test' (patterns are recorded, not played)
+   */
+  getMode() {
+    const mode = this.settings ? this.settings.get('alertMode') : 'normal';
+    return ALERT_MODES.includes(mode) ? mode : 'normal';
+  }
+
+  /**
+   * Play a pattern by name ('urgent', 'low', 'high', 'signal')
+   */
+  play(name) {
+    const pattern = ALERT_PATTERNS[name];
+    if (!pattern) return;
+
+    const mode = this.getMode();
+    if (mode === 'silent') return;
+    if (mode === 'test') {
+      this.played.push(name);
+      console.log(`Alert feedback (test): ${name}`);
+      return;
+    }
+
+    this.stop();
+    this.vibrate(pattern.vibration);
+    this.playTones(pattern.tones, pattern.volume);
+  }
+
+  /**
+   * Cut any vibration and tones still playing (alarm acknowledged or cleared)
+   */
+  stop() {
+    this.vibrate(0);
+
+    this.oscillators.forEach((oscillator) => {
+      try {
+        oscillator.stop();
+      } catch (error) {
+        // Already finished
+      }
+    });
+    this.oscillators = [];
+  }
+
+  vibrate(pattern) {
+    if (typeof navigator === 'undefined' || typeof navigator.vibrate !== 'function') return;
+
+    try {
+      navigator.vibrate(pattern);
+    } catch (error) {
+      console.warn('Vibration failed', error);
+    }
+  }
+
+  /**
+   * Schedule the tones back to back with short fades (no clicks between notes)
+   */
+  playTones(tones, volume) {
+    const context = this.getAudioContext();
+    if (!context) return;
+
+    let start = context.currentTime;
+
+    tones.forEach(([frequency, duration]) => {
+      const seconds = duration / 1000;
+
+      if (frequency > 0) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(volume, start + 0.01);
+        gain.gain.setValueAtTime(volume, start + seconds - 0.02);
+        gain.gain.linearRampToValueAtTime(0, start + seconds);
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + seconds);
+        oscillator.onended = () => {
+          this.oscillators = this.oscillators.filter(o => o !== oscillator);
+        };
+        this.oscillators.push(oscillator);
+      }
+
+      start += seconds;
+    });
+  }
+
+  /**
+   * Shared audio context, or null where Web Audio is unavailable
+   */
+  getAudioContext() {
+    if (this.audioContext) return this.audioContext;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    try {
+      this.audioContext = new AudioContextClass();
+    } catch (error) {
+      console.warn('Web Audio unavailable', error);
+      return null;
+    }
+
+    // Starts suspended until the page has had a user gesture
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(() => {});
+    }
+    return this.audioContext;
+  }
+}
+
+/**
+ * Pattern for an alarm from the alarm engine
+ */
+function getAlertPatternName(alarm) {
+  switch (alarm.type) {
+    case 'urgentLow':
+    case 'urgentLowSoon':
+      return 'urgent';
+    case 'low':
+      return 'low';
+    case 'high':
+      return 'high';
+    case 'rateOfChange':
+      return alarm.rate < 0 ? 'low' : 'high';
+    case 'signalLoss':
+      return 'signal';
+    default:
+      return null;
+  }
+}
+
+// Export
+window.AlertFeedback = AlertFeedback;
+window.ALERT_PATTERNS = ALERT_PATTERNS;
+window.getAlertPatternName = getAlertPatternName;
@@ -0,0 +1,189 @@
+/**
+ * Assistant Screen Controller
+ * Assistant page: a chip per question in the middle; the answer is set along the bottom
+ * of the round face on up to three arcs (innermost line first), growing as the provider
+ * streams it. Tapping the answer asks again; the conversation carries over to the next question.
+ */
+
+// Characters that fit on each answer arc, innermost (shortest) first
+const ASSISTANT_ARC_CHARS = [18, 23, 28];
+const ASSISTANT_HISTORY = 10; // Messages kept for follow-up questions
+
+class AssistantScreenController {
+  /**
+   * @param {Object} provider - See data/assistant-providers.js
+   * @param {Function} getContext - Snapshot sent with each question (buildAssistantContext)
+   */
+  constructor(provider, getContext) {
+    this.provider = provider;
+    this.getContext = getContext;
+    this.page = document.querySelector('[data-screen="assistant"]');
+
+    // Elements
+    this.intentList = null;
+    this.questionText = null;
+    this.answerLines = [];
+
+    // State
+    this.messages = [];   // { role, content } - the conversation so far
+    this.request = null;  // AbortController of the question being answered
+
+    this.init();
+  }
+
+  init() {
+    if (!this.page) return;
+
+    this.intentList = this.page.querySelector('.assistant-intents');
+    this.questionText = this.page.querySelector('.assistant-question');
+    this.answerLines = Array.from(this.page.querySelectorAll('.assistant-answer textPath'));
+
+    ASSISTANT_INTENTS.forEach(intent => {
+      const chip = document.createElement('button');
+      chip.className = 'assistant-intent';
+      chip.dataset.intent = intent.key;
+      chip.textContent = intent.label;
+      chip.addEventListener('click', () => this.ask(intent.key));
+      this.intentList.appendChild(chip);
+    });
+
+    this.questionText.addEventListener('click', () => this.reset());
+    this.page.querySelector('.assistant-answer').addEventListener('click', () => this.reset());
+  }
+
+  /**
+   * Switch backends (settings change) - a question still answering is dropped
+   */
+  setProvider(provider) {
+    this.cancel();
+    this.provider = provider;
+  }
+
+  /**
+   * Ask a question (intent key or free text) and stream the answer onto the arcs
+   * @returns {Promise<string|null>} The answer, null when cancelled or failed
+   */
+  ask(question) {
+    const intent = ASSISTANT_INTENTS.find(item => item.key === question);
+    const content = intent ? intent.label : question;
+
+    this.cancel();
+    const request = new AbortController();
+    this.request = request;
+
+    this.questionText.textContent = content;
+    this.messages.push({ role: 'user', content });
+    this.showAnswer('…');
+
+    let streamed = '';
+    return this.provider.send(this.messages.slice(), this.getContext(), {
+      signal: request.signal,
+      onToken: (token) => {
+        if (this.request !== request) return;
+        streamed += token;
+        this.showAnswer(streamed);
+      }
+    })
+      .then((text) => {
+        if (this.request !== request) return null;
+        this.request = null;
+
+        this.messages.push({ role: 'assistant', content: text });
+        this.messages = this.messages.slice(-ASSISTANT_HISTORY);
+        this.showAnswer(text);
+        return text;
+      })
+      .catch((error) => {
+        if (this.request !== request) return null;
+        this.request = null;
+
+        // The unanswered question leaves the conversation
+        this.messages.pop();
+        console.warn('Assistant: no answer', error);
+        this.showAnswer('Asistent trenutno nije dostupan');
+        return null;
+      });
+  }
+
+  /**
+   * Stop streaming the current answer
+   */
+  cancel() {
+    if (!this.request) return;
+    this.request.abort();
+    this.request = null;
+
+    // Drop the question that never got its answer
+    if (this.messages.length && this.messages[this.messages.length - 1].role === 'user') {
+      this.messages.pop();
+    }
+  }
+
+  showAnswer(text) {
+    const lines = splitCurvedLines(text, ASSISTANT_ARC_CHARS);
+
+    // Fewer lines sit on the outer arcs, closest to the rim
+    const firstArc = this.answerLines.length - lines.length;
+    this.answerLines.forEach((textPath, index) => {
+      textPath.textContent = lines[index - firstArc] || '';
+    });
+
+    this.page.classList.add('answering');
+  }
+
+  /**
+   * Back to the question chips
+   */
+  reset() {
+    this.cancel();
+    this.page.classList.remove('answering');
+    this.answerLines.forEach(textPath => {
+      textPath.textContent = '';
+    });
+  }
+}
+
+/**
+ * Break text into lines for the answer arcs - uses the fewest (outermost) arcs that fit,
+ * the last line is cut with "…" when the text doesn't fit on all of them
+ * @param {number[]} limits - Characters per arc, innermost first
+ */
+function splitCurvedLines(text, limits) {
+  const words = text.split(/\s+/).filter(Boolean);
+
+  for (let count = 1; count <= limits.length; count++) {
+    const lines = fillCurvedLines(words, limits.slice(limits.length - count));
+    if (lines) return lines;
+  }
+
+  const lines = fillCurvedLines(words, limits, true);
+  const last = lines.length - 1;
+  const limit = limits[last];
+  if (lines[last].length > limit) lines[last] = `${lines[last].slice(0, limit - 1).trimEnd()}…`;
+  return lines;
+}
+
+/**
+ * Greedy fill - null when the words don't fit (unless the last line may overflow)
+ */
+function fillCurvedLines(words, limits, overflowLast = false) {
+  const lines = [''];
+
+  for (const word of words) {
+    const index = lines.length - 1;
+    const candidate = lines[index] ? `${lines[index]} ${word}` : word;
+
+    if (!lines[index] || candidate.length <= limits[index] || (overflowLast && index === limits.length - 1)) {
+      lines[index] = candidate;
+    } else if (index + 1 < limits.length) {
+      lines.push(word);
+    } else {
+      return null;
+    }
+  }
+
+  return lines;
+}
+
+// Export
+window.AssistantScreenController = AssistantScreenController;
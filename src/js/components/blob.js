@@ -8,24 +8,12 @@
  * - Shape: constantly morphing organic form
  */
 
-// Glucose thresholds (mmol/L)
-const GLUCOSE_RANGES = {
-  DANGER_LOW: 4.0,
-  WARNING_LOW: 4.5,
-  WARNING_HIGH: 9.0,
-  DANGER_HIGH: 10.0,
-  // For size scaling
+// Glucose range for size scaling (mmol/L) - zone thresholds and colors live in utils/glucose-zones.js
+const BLOB_SCALE_RANGE = {
   MIN_VALUE: 2.0,
   MAX_VALUE: 15.0
 };
 
-// Colors
-const COLORS = {
-  SAFE: '#7ED321',
-  WARNING: '#FFD700',
-  DANGER: '#FF4444'
-};
-
 // Simplified noise function for organic movement
 class SimplexNoise {
   constructor() {
@@ -105,6 +93,8 @@ class GlucoseBlob {
     this.posX = 0.5;
     this.posY = 0.5;
     this.animationId = null;
+    this.isStale = false;  // Old data: desaturated and moving slowly
+    this.speedFactor = 1;  // Animation time multiplier (eased towards 0.3 when stale)
 
     // Trend direction (0=up, 45=up-right, 90=right, 135=down-right, 180=down)
     this.trendAngle = options.initialTrend || 45;
@@ -575,58 +565,10 @@ class GlucoseBlob {
   }
 
   /**
-   * Get color based on glucose level with smooth transitions
-   * Blending happens: 9.5-10 (yellow→red) and 4.0-4.5 (yellow→red)
+   * Get color based on glucose level (shared zone colors, user's target range)
    */
   getColorForGlucose(glucose) {
-    // Danger zones (pure red)
-    if (glucose <= GLUCOSE_RANGES.DANGER_LOW || glucose >= GLUCOSE_RANGES.DANGER_HIGH) {
-      return COLORS.DANGER;
-    }
-
-    // Safe zone (pure green)
-    if (glucose >= GLUCOSE_RANGES.WARNING_LOW && glucose <= GLUCOSE_RANGES.WARNING_HIGH) {
-      return COLORS.SAFE;
-    }
-
-    // High warning zone (9.0 - 10.0)
-    if (glucose > GLUCOSE_RANGES.WARNING_HIGH && glucose < GLUCOSE_RANGES.DANGER_HIGH) {
-      if (glucose >= 9.5) {
-        // Blend from yellow to red (9.5 to 10)
-        const t = (glucose - 9.5) / 0.5;
-        return this.blendColors(COLORS.WARNING, COLORS.DANGER, t);
-      }
-      // Pure yellow (9.0 to 9.5)
-      return COLORS.WARNING;
-    }
-
-    // Low warning zone (4.0 - 4.5) - blend throughout
-    if (glucose > GLUCOSE_RANGES.DANGER_LOW && glucose < GLUCOSE_RANGES.WARNING_LOW) {
-      // Blend from yellow (at 4.5) to red (at 4.0)
-      const t = (GLUCOSE_RANGES.WARNING_LOW - glucose) / 0.5;
-      return this.blendColors(COLORS.WARNING, COLORS.DANGER, t);
-    }
-
-    return COLORS.SAFE;
-  }
-
-  /**
-   * Blend two hex colors
-   */
-  blendColors(color1, color2, t) {
-    const r1 = parseInt(color1.slice(1, 3), 16);
-    const g1 = parseInt(color1.slice(3, 5), 16);
-    const b1 = parseInt(color1.slice(5, 7), 16);
-
-    const r2 = parseInt(color2.slice(1, 3), 16);
-    const g2 = parseInt(color2.slice(3, 5), 16);
-    const b2 = parseInt(color2.slice(5, 7), 16);
-
-    const r = Math.round(r1 + (r2 - r1) * t);
-    const g = Math.round(g1 + (g2 - g1) * t);
-    const b = Math.round(b1 + (b2 - b1) * t);
-
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+    return getColorForGlucose(glucose, getTargetRange());
   }
 
   /**
@@ -636,11 +578,11 @@ class GlucoseBlob {
   getScaleForGlucose(glucose) {
     const minScale = 0.3;
     const maxScale = 1.8;
-    const clampedGlucose = Math.max(GLUCOSE_RANGES.MIN_VALUE,
-      Math.min(GLUCOSE_RANGES.MAX_VALUE, glucose));
+    const clampedGlucose = Math.max(BLOB_SCALE_RANGE.MIN_VALUE,
+      Math.min(BLOB_SCALE_RANGE.MAX_VALUE, glucose));
 
-    const normalized = (clampedGlucose - GLUCOSE_RANGES.MIN_VALUE) /
-      (GLUCOSE_RANGES.MAX_VALUE - GLUCOSE_RANGES.MIN_VALUE);
+    const normalized = (clampedGlucose - BLOB_SCALE_RANGE.MIN_VALUE) /
+      (BLOB_SCALE_RANGE.MAX_VALUE - BLOB_SCALE_RANGE.MIN_VALUE);
 
     return minScale + normalized * (maxScale - minScale);
   }
@@ -668,11 +610,41 @@ class GlucoseBlob {
     }));
   }
 
+  /**
+   * Follow a GlucoseStore - value and trend stay in sync with the data source
+   */
+  bindStore(store) {
+    if (this.unsubscribeStore) this.unsubscribeStore();
+
+    this.unsubscribeStore = store.subscribe((state) => {
+      if (state.value !== null && state.value !== this.glucoseValue) {
+        this.setGlucose(state.value);
+      }
+      if (state.trend !== null) {
+        this.setTrendDirection(state.trend);
+      }
+      this.setStale(state.isStale);
+    });
+    this.setStale(store.isStale());
+  }
+
+  /**
+   * Stale data: the blob loses its color and slows down, so an old value doesn't look live
+   */
+  setStale(stale) {
+    this.isStale = stale;
+    if (this.svg) this.svg.classList.toggle('stale', stale);
+  }
+
   /**
    * Main animation loop
    */
   animate() {
-    this.time += 16; // Approximate 60fps timestep
+    // Ease the speed change so the blob doesn't jump when data goes stale
+    const targetSpeed = this.isStale ? 0.3 : 1;
+    this.speedFactor += (targetSpeed - this.speedFactor) * 0.02;
+
+    this.time += 16 * this.speedFactor; // Approximate 60fps timestep
 
     // Update blob shape
     const pathData = this.generateBlobPath(this.time);
@@ -736,6 +708,9 @@ class GlucoseBlob {
    * Stop animation
    */
   destroy() {
+    if (this.unsubscribeStore) {
+      this.unsubscribeStore();
+    }
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
@@ -0,0 +1,235 @@
+/**
+ * Entry Editor Controller
+ * Opens a logged treatment from its graph marker to change amount or time, or delete it
+ * Changes go through the treatment journal, so IOB, graph markers and the simulator follow
+ */
+
+// Picker range and step per treatment type (insulin is also capped by the dose guard);
+// timeOnly types hide the picker - only their time can be moved, or the entry deleted
+const ENTRY_EDIT_TYPES = {
+  brzi: { title: 'Brzi', unit: 'j', min: 1, max: 50, step: 1 },
+  dnevni: { title: 'Dnevni', unit: 'j', min: 1, max: 50, step: 1 },
+  med: { title: 'Med', unit: 'med', min: 1, max: 9, step: 1 },
+  meal: { title: 'Obrok', unit: 'g UH', min: 5, max: 150, step: 5 },
+  activity: { title: 'Aktivnost', unit: 'min', min: 5, max: 180, step: 5 },
+  sensor: { title: 'Senzor', unit: 'dana', timeOnly: true } // Lifetime is set on the tracking page
+};
+
+const ENTRY_TIME_STEP = 5 * 60 * 1000;       // Time buttons move the entry by 5 minutes
+const ENTRY_MAX_AGE = 24 * 60 * 60 * 1000;   // Entries can't be moved more than a day back
+
+class EntryEditorController {
+  constructor() {
+    this.screen = document.querySelector('[data-screen="entry-edit"]');
+    this.homeScreen = document.querySelector('[data-screen="home"]');
+
+    // State
+    this.entry = null;          // Journal entry being edited
+    this.range = null;          // ENTRY_EDIT_TYPES entry for its type
+    this.selectedAmount = 0;
+    this.selectedTimestamp = 0;
+    this.deleteArmed = false;   // First tap on delete arms it, second deletes
+
+    // Elements
+    this.title = null;
+    this.unitLabel = null;
+    this.timeValue = null;
+    this.picker = null; // NumberPicker for the amount
+    this.deleteBtn = null;
+    this.confirmBtn = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.screen) return;
+
+    this.title = this.screen.querySelector('.entry-edit-title');
+    this.unitLabel = this.screen.querySelector('.picker-label');
+    this.timeValue = this.screen.querySelector('.entry-time-value');
+    this.deleteBtn = this.screen.querySelector('.entry-delete-btn');
+    this.confirmBtn = this.screen.querySelector('.confirm-btn');
+
+    // Prevent page swipes when on this screen
+    this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchmove', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchend', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('mousedown', (e) => e.stopPropagation());
+    this.screen.addEventListener('mousemove', (e) => e.stopPropagation());
+    this.screen.addEventListener('mouseup', (e) => e.stopPropagation());
+
+    // Picker drag/scroll
+    this.picker = new NumberPicker(this.screen.querySelector('.number-picker'), {
+      containerCenter: 64, // Half of 128px container (title and time row around it)
+      onStep: (direction) => this.incrementAmount(direction)
+    });
+
+    // Time buttons (−5 / +5 min)
+    this.screen.querySelectorAll('.entry-time-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.shiftTime(Number(btn.dataset.direction) * ENTRY_TIME_STEP));
+    });
+
+    if (this.deleteBtn) {
+      this.deleteBtn.addEventListener('click', () => this.delete());
+    }
+
+    // Confirm button
+    if (this.confirmBtn) {
+      this.confirmBtn.addEventListener('click', () => this.save());
+    }
+  }
+
+  generatePickerItems() {
+    const amounts = [];
+    for (let amount = this.range.min; amount <= this.range.max; amount += this.range.step) amounts.push(amount);
+
+    this.picker.setItems(amounts);
+  }
+
+  updatePickerDisplay(animate = true) {
+    this.picker.select((this.selectedAmount - this.range.min) / this.range.step, animate);
+  }
+
+  /**
+   * Move the picker by a number of steps
+   */
+  incrementAmount(steps) {
+    if (this.range.timeOnly) return;
+
+    const newValue = this.selectedAmount + steps * this.range.step;
+    if (newValue >= this.range.min && newValue <= this.range.max) {
+      this.selectedAmount = newValue;
+      this.disarmDelete();
+      this.updatePickerDisplay();
+    }
+  }
+
+  /**
+   * Move the entry in time - never into the future or more than a day back
+   */
+  shiftTime(delta) {
+    const now = window.sweetieClock.now();
+    this.selectedTimestamp = Math.max(now - ENTRY_MAX_AGE, Math.min(now, this.selectedTimestamp + delta));
+    this.disarmDelete();
+    this.updateTimeDisplay();
+  }
+
+  updateTimeDisplay() {
+    if (!this.timeValue) return;
+    this.timeValue.textContent = formatClockTime(this.selectedTimestamp);
+  }
+
+  /**
+   * Picker range for an entry type - insulin stays under its maximum dose
+   */
+  getRange(entry) {
+    const range = { ...(ENTRY_EDIT_TYPES[entry.type] || ENTRY_EDIT_TYPES.meal) };
+    if (range.timeOnly) return range;
+
+    if (entry.type === 'brzi' || entry.type === 'dnevni') {
+      range.max = Math.min(range.max, getMaxDose(entry.type));
+    }
+
+    // An entry logged outside the range (older data, changed limits) keeps its amount selectable
+    range.min = Math.min(range.min, entry.amount);
+    range.max = Math.max(range.max, entry.amount);
+    return range;
+  }
+
+  /**
+   * Show the editor for a journal entry
+   * @param {string} id - Entry id
+   */
+  show(id) {
+    if (!this.screen || !window.treatmentJournal) return;
+
+    const entry = window.treatmentJournal.getEntry(id);
+    if (!entry) return;
+
+    this.entry = entry;
+    this.range = this.getRange(entry);
+    this.selectedAmount = entry.amount;
+    this.selectedTimestamp = entry.timestamp;
+    this.disarmDelete();
+
+    hideFixedTime(this.screen);
+
+    if (this.title) this.title.textContent = ENTRY_EDIT_TYPES[entry.type] ? ENTRY_EDIT_TYPES[entry.type].title : entry.type;
+    this.updateTimeDisplay();
+
+    // Time-only entries show their amount as text in place of the picker
+    this.screen.classList.toggle('time-only', Boolean(this.range.timeOnly));
+    if (this.range.timeOnly) {
+      if (this.unitLabel) this.unitLabel.textContent = `${entry.amount} ${this.range.unit}`;
+      this.picker.setItems([]);
+    } else {
+      if (this.unitLabel) this.unitLabel.textContent = this.range.unit;
+
+      // Set initial position without animation
+      this.generatePickerItems();
+      this.updatePickerDisplay(false);
+    }
+
+    // Animate in
+    this.screen.classList.add('active');
+  }
+
+  /**
+   * Hide the editor and return to the graph
+   */
+  hide() {
+    if (!this.screen) return;
+
+    if (this.homeScreen) this.homeScreen.classList.add('active');
+    this.screen.classList.remove('active');
+
+    showFixedTime(this.screen);
+
+    this.entry = null;
+  }
+
+  disarmDelete() {
+    this.deleteArmed = false;
+    if (this.deleteBtn) this.deleteBtn.classList.remove('armed');
+  }
+
+  /**
+   * Save amount and time (nothing to write when both are unchanged)
+   */
+  save() {
+    const entry = this.entry;
+    if (!entry) return;
+
+    const changes = {};
+    if (!this.range.timeOnly && this.selectedAmount !== entry.amount) changes.amount = this.selectedAmount;
+    if (this.selectedTimestamp !== entry.timestamp) changes.timestamp = this.selectedTimestamp;
+
+    this.hide();
+    if (!Object.keys(changes).length) return;
+
+    window.treatmentJournal.update(entry.id, changes)
+      .catch(error => console.warn('Treatment not updated', error));
+  }
+
+  /**
+   * Delete the entry - the first tap arms the button, the second deletes
+   */
+  delete() {
+    const entry = this.entry;
+    if (!entry) return;
+
+    if (!this.deleteArmed) {
+      this.deleteArmed = true;
+      this.deleteBtn.classList.add('armed');
+      return;
+    }
+
+    this.hide();
+
+    window.treatmentJournal.remove(entry.id)
+      .catch(error => console.warn('Treatment not deleted', error));
+  }
+}
+
+// Export
+window.EntryEditorController = EntryEditorController;
@@ -0,0 +1,187 @@
+/**
+ * Entry Time Selector
+ * Optional time step for the logging screens (insulin, honey, meal): log an entry
+ * "now", a few minutes or half an hour ago, or at a custom time in 5-minute steps.
+ * Labels use the graph's fuzzy time vocabulary (utils/fuzzy-time.js).
+ */
+
+const ENTRY_TIME_PRESETS = [0, 15, 30]; // Minutes ago
+const CUSTOM_TIME_STEP = 5;             // Minutes per −/+ tap
+const MAX_BACKDATE_MINUTES = 360;       // Graph history - older entries would not show
+
+class EntryTimeSelector {
+  /**
+   * @param {HTMLElement} screen - Input screen the time step belongs to
+   */
+  constructor(screen) {
+    this.screen = screen;
+
+    // State
+    this.minutesAgo = 0;
+    this.customMinutes = 45;
+
+    // Elements
+    this.button = null;
+    this.label = null;
+    this.step = null;
+    this.customValue = null;
+    this.customHint = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.screen) return;
+
+    this.button = createBackdateButton();
+    this.label = document.createElement('div');
+    this.label.className = 'backdate-label';
+    this.step = createBackdateStep();
+
+    this.screen.appendChild(this.button);
+    this.screen.appendChild(this.label);
+    this.screen.appendChild(this.step);
+
+    this.customValue = this.step.querySelector('.backdate-custom-value');
+    this.customHint = this.step.querySelector('.backdate-custom-hint');
+
+    this.button.addEventListener('click', () => this.open());
+
+    // Presets apply at once, "custom" switches to the −/+ stepper
+    this.step.querySelectorAll('.backdate-option').forEach(option => {
+      option.addEventListener('click', () => {
+        if (option.dataset.minutes === 'custom') {
+          this.showCustom();
+        } else {
+          this.select(Number(option.dataset.minutes));
+        }
+      });
+    });
+
+    this.step.querySelectorAll('.backdate-custom-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.shiftCustom(Number(btn.dataset.direction) * CUSTOM_TIME_STEP));
+    });
+    this.step.querySelector('.backdate-custom-ok').addEventListener('click', () => this.select(this.customMinutes));
+  }
+
+  /**
+   * Open the time step over the input screen
+   */
+  open() {
+    this.step.classList.remove('custom');
+    this.step.querySelectorAll('.backdate-option').forEach(option => {
+      option.classList.toggle('active', Number(option.dataset.minutes) === this.minutesAgo);
+    });
+
+    this.screen.classList.add('backdating');
+    this.step.hidden = false;
+  }
+
+  close() {
+    if (!this.step) return;
+    this.screen.classList.remove('backdating');
+    this.step.hidden = true;
+  }
+
+  showCustom() {
+    this.customMinutes = Math.max(this.customMinutes, this.minutesAgo, CUSTOM_TIME_STEP);
+    this.step.classList.add('custom');
+    this.updateCustomDisplay();
+  }
+
+  shiftCustom(delta) {
+    this.customMinutes = Math.max(CUSTOM_TIME_STEP, Math.min(MAX_BACKDATE_MINUTES, this.customMinutes + delta));
+    this.updateCustomDisplay();
+  }
+
+  /**
+   * Clock time ("08:45") over its fuzzy time ("30 min ago")
+   */
+  updateCustomDisplay() {
+    const timestamp = this.getTimestamp(window.sweetieClock.now(), this.customMinutes);
+    this.customValue.textContent = formatClockTime(timestamp);
+    this.customHint.textContent = formatFuzzyTime(this.customMinutes);
+  }
+
+  /**
+   * Use an offset and return to the input screen
+   */
+  select(minutesAgo) {
+    this.minutesAgo = minutesAgo;
+    this.close();
+    this.updateButton();
+  }
+
+  /**
+   * Clock button is highlighted and the fuzzy time shown while the entry is backdated
+   */
+  updateButton() {
+    if (!this.button) return;
+
+    const backdated = this.minutesAgo > 0;
+    this.button.classList.toggle('backdated', backdated);
+    this.label.textContent = backdated ? formatFuzzyTime(this.minutesAgo) : '';
+  }
+
+  /**
+   * Timestamp for the entry (now minus the selected offset)
+   */
+  getTimestamp(now = window.sweetieClock.now(), minutesAgo = this.minutesAgo) {
+    return now - minutesAgo * 60 * 1000;
+  }
+
+  /**
+   * Back to "now" (every time an input screen opens)
+   */
+  reset() {
+    this.minutesAgo = 0;
+    this.close();
+    this.updateButton();
+  }
+}
+
+/**
+ * Clock button next to the confirm button
+ */
+function createBackdateButton() {
+  const button = document.createElement('button');
+  button.className = 'backdate-btn';
+  button.setAttribute('aria-label', 'Vrijeme unosa');
+  button.innerHTML = `
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+      <path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67z" fill="currentColor"/>
+    </svg>`;
+  return button;
+}
+
+/**
+ * Time step overlay: presets, then the custom stepper
+ */
+function createBackdateStep() {
+  const step = document.createElement('div');
+  step.className = 'backdate-step';
+  step.hidden = true;
+
+  const presets = ENTRY_TIME_PRESETS
+    .map(minutes => `<button class="backdate-option" data-minutes="${minutes}">${formatFuzzyTime(minutes)}</button>`)
+    .join('');
+
+  step.innerHTML = `
+    <div class="backdate-options">
+      ${presets}
+      <button class="backdate-option" data-minutes="custom">custom</button>
+    </div>
+    <div class="backdate-custom">
+      <div class="backdate-custom-row">
+        <button class="backdate-custom-btn" data-direction="1" aria-label="Ranije">−</button>
+        <span class="backdate-custom-value"></span>
+        <button class="backdate-custom-btn" data-direction="-1" aria-label="Kasnije">+</button>
+      </div>
+      <div class="backdate-custom-hint"></div>
+      <button class="backdate-custom-ok">OK</button>
+    </div>`;
+  return step;
+}
+
+// Export for input controllers
+window.EntryTimeSelector = EntryTimeSelector;
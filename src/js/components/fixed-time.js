@@ -0,0 +1,38 @@
+/**
+ * Fixed Time
+ * The clock along the top of the face (and its knockout copy over the blob) is hidden
+ * while a full-screen flow is open - input screens, the entry editor, prompts and alarms -
+ * and shown again when it closes. Flows can stack (an alarm over the insulin screen), so
+ * each one hides the clock under its own key and the clock only returns once all are closed.
+ */
+
+const fixedTimeHolders = new Set(); // Keys of the flows keeping the clock hidden
+
+function setFixedTimeVisible(visible) {
+  const fixedTime = document.querySelector('.fixed-time');
+  const fixedTimeKnockout = document.querySelector('.fixed-time-knockout');
+  const opacity = visible ? '' : '0';
+
+  if (fixedTime) fixedTime.style.opacity = opacity;
+  if (fixedTimeKnockout) fixedTimeKnockout.style.opacity = opacity;
+}
+
+/**
+ * @param {*} key - The flow hiding the clock (usually its screen element)
+ */
+function hideFixedTime(key) {
+  fixedTimeHolders.add(key);
+  setFixedTimeVisible(false);
+}
+
+/**
+ * Release the flow's hold - the clock shows again when no other flow is open
+ */
+function showFixedTime(key) {
+  fixedTimeHolders.delete(key);
+  if (!fixedTimeHolders.size) setFixedTimeVisible(true);
+}
+
+// Export for screen controllers
+window.hideFixedTime = hideFixedTime;
+window.showFixedTime = showFixedTime;
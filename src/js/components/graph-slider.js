@@ -23,9 +23,17 @@ class GraphSlider {
     this.dotSpring = null;
     this.animationId = null;
 
-    // Glucose boundaries (y coordinates)
-    this.upperBoundaryY = 96;  // glucose = 10
-    this.lowerBoundaryY = 156; // glucose = 4
+    // Fixed graph scale: y=96 → 10 mmol/L, y=156 → 4 mmol/L (0.1 mmol/L per pixel)
+    this.scaleTopY = 96;
+    this.scaleTopGlucose = 10;
+    this.scaleBottomY = 156;
+    this.scaleBottomGlucose = 4;
+
+    // Zone boundaries (y coordinates) - follow the user's target range, see applyTargetRange()
+    this.targetRange = null;
+    this.zoneY = null;         // { dangerHigh, warningHigh, warningLow, dangerLow }
+    this.upperBoundaryY = 96;  // Boundary line at dangerHigh
+    this.lowerBoundaryY = 156; // Boundary line at dangerLow
 
     // Y range for glucose mapping
     this.minY = 50;   // top of graph area (high glucose ~15)
@@ -38,6 +46,20 @@ class GraphSlider {
     // Store original path data
     this.originalPathData = null;
 
+    // Reading history drawn on the graph
+    this.readings = [];
+    this.historyDuration = 6 * 60 * 60 * 1000; // 6 hours from left edge to "now"
+    this.endTime = null; // Clock time when the graph was last built (drawn at maxX as "now")
+    this.store = null;   // Glucose store the graph is bound to
+    this.forecastPath = null; // Dashed projection past "now"
+
+    // Treatment markers (journal entries drawn along the line)
+    this.treatments = [];
+    this.markersGroup = null;
+    this.markerOffset = 11;   // Marker sits this far above the line...
+    this.markerMinY = 24;     // ...or below it when there is no room above
+    this.markerHitRadius = 5; // Slider within this many px shows the entry in the label
+
     // Dragging state
     this.isDragging = false;
 
@@ -52,10 +74,14 @@ class GraphSlider {
     this.timeLabel = document.querySelector('.graph-now-text');
     this.timeLine1 = document.querySelector('.graph-time-line1');
     this.timeLine2 = document.querySelector('.graph-time-line2');
+    this.timeLine3 = document.querySelector('.graph-time-line3');
     this.timeBg = document.querySelector('.graph-time-bg');
     this.graphLineBase = document.querySelector('.graph-line-base');
     this.graphLineHighlight = document.querySelector('.graph-line-highlight');
     this.segmentClipRect = document.querySelector('.segment-clip-rect');
+    this.boundaryLines = document.querySelectorAll('.graph-boundary');
+    this.markersGroup = document.querySelector('.graph-markers');
+    this.forecastPath = document.querySelector('.graph-forecast');
 
     // Default Y position for time label (below lower boundary)
     this.defaultTimeLabelY = 172;
@@ -65,6 +91,9 @@ class GraphSlider {
       return;
     }
 
+    // Zone boundaries and boundary lines from the user's target range
+    this.setZoneBoundaries(getTargetRange());
+
     // Store original path for reference
     this.originalPathData = this.graphLineBase?.getAttribute('d');
 
@@ -128,15 +157,18 @@ class GraphSlider {
       this.sliderHitbox.setAttribute('y2', lineBounds.y2);
     }
 
-    // Update dot position (direct, no CSS transition)
+    // Calculate glucose (from real readings when available - null inside a gap)
+    const glucose = this.getGlucoseForX(x);
+
+    // Update dot position (direct, no CSS transition) - no dot where there is no data
     this.sliderDot.setAttribute('cx', x);
     this.sliderDot.setAttribute('cy', y);
+    this.sliderDot.style.visibility = glucose === null ? 'hidden' : '';
 
     // Update time label
     this.updateTimeLabel(x, y);
 
-    // Calculate glucose and update colors
-    const glucose = this.yToGlucose(y);
+    // Update colors
     const isLow = y > this.lowerBoundaryY;
     const isHigh = y < this.upperBoundaryY;
     const isDanger = isLow || isHigh;
@@ -152,7 +184,18 @@ class GraphSlider {
       this.updateClipPath(x, y);
     }
 
-    this.updateGlucoseDisplay(glucose, isDanger);
+    // Nav text and trend belong to the store while the graph is hidden
+    if (this.isVisible()) {
+      this.updateGlucoseDisplay(glucose, isDanger);
+    }
+  }
+
+  /**
+   * Check if the graph is currently shown (scrubbing only drives the display then)
+   */
+  isVisible() {
+    const graph = this.svg.closest('.glucose-graph');
+    return !!graph && graph.classList.contains('visible');
   }
 
   /**
@@ -160,12 +203,23 @@ class GraphSlider {
    */
   updateTimeLabel(x, y) {
     const fuzzyTime = this.getFuzzyTime(x);
-    if (this.timeLine1 && this.timeLine2) {
-      this.timeLine1.textContent = fuzzyTime.line1;
-      this.timeLine2.textContent = fuzzyTime.line2;
-      this.timeLine1.setAttribute('x', x);
-      this.timeLine2.setAttribute('x', x);
-    }
+
+    // Over a treatment marker: entry details on top, time below
+    const treatment = this.getTreatmentAtX(x);
+    this.setActiveMarker(treatment);
+    const label = treatment
+      ? { line1: getTreatmentLabel(treatment), line2: `${fuzzyTime.line1} ${fuzzyTime.line2}`.trim() }
+      : fuzzyTime;
+
+    // Past moments also show the insulin still active then (takes the next free line)
+    const iobLine = this.getIobLineForX(x);
+    const lines = [label.line1, label.line2, iobLine].filter(Boolean);
+
+    [this.timeLine1, this.timeLine2, this.timeLine3].forEach((line, index) => {
+      if (!line) return;
+      line.textContent = lines[index] || '';
+      line.setAttribute('x', x);
+    });
 
     // Position time label
     const safeMargin = 8;
@@ -180,7 +234,7 @@ class GraphSlider {
     if (minTextY > this.defaultTimeLabelY - 5) {
       textY = minTextY + 5;
     }
-    textY = Math.min(textY, 210);
+    textY = Math.min(textY, 210 - Math.max(0, lines.length - 2) * 12);
 
     this.timeLabel.setAttribute('y', textY);
     this.timeLabel.setAttribute('x', x);
@@ -189,7 +243,13 @@ class GraphSlider {
     if (this.timeBg) {
       let bgWidth, bgHeight, bgYOffset;
 
-      if (fuzzyTime.line2) {
+      if (treatment) {
+        // Width follows the entry text (~5.5px per character at 11px)
+        const longest = Math.max(label.line1.length, label.line2.length);
+        bgWidth = Math.max(45, longest * 5.5 + 8);
+        bgHeight = 26;
+        bgYOffset = 9;
+      } else if (fuzzyTime.line2) {
         bgWidth = 45;
         bgHeight = 26;
         bgYOffset = 9;
@@ -207,6 +267,12 @@ class GraphSlider {
         bgYOffset = 11;
       }
 
+      if (iobLine) {
+        bgWidth = Math.max(bgWidth, iobLine.length * 5.5 + 8);
+        bgHeight = lines.length === 3 ? 38 : 26;
+        bgYOffset = 9;
+      }
+
       this.timeBg.setAttribute('x', x - bgWidth / 2);
       this.timeBg.setAttribute('y', textY - bgYOffset);
       this.timeBg.setAttribute('width', bgWidth);
@@ -264,10 +330,10 @@ class GraphSlider {
 
     // All boundary Y values
     const boundaries = [
-      { y: 96, name: 'danger-high' },    // glucose = 10
-      { y: 106, name: 'warning-high' },  // glucose = 9
-      { y: 151, name: 'warning-low' },   // glucose = 4.5
-      { y: 156, name: 'danger-low' }     // glucose = 4
+      { y: this.zoneY.dangerHigh, name: 'danger-high' },
+      { y: this.zoneY.warningHigh, name: 'warning-high' },
+      { y: this.zoneY.warningLow, name: 'warning-low' },
+      { y: this.zoneY.dangerLow, name: 'danger-low' }
     ];
 
     for (let i = 1; i < this.pathSamples.length; i++) {
@@ -336,101 +402,62 @@ class GraphSlider {
   }
 
   /**
-   * Get color for a Y coordinate with smooth transitions
-   * Blending: 9.5-10 (y 96-101) and 4.0-4.5 (y 151-156)
-   *
-   * Y coordinates:
-   * - y <= 96: Danger high (glucose >= 10)
-   * - y 96-101: Blend yellow→red (glucose 9.5-10)
-   * - y 101-106: Warning high, pure yellow (glucose 9-9.5)
-   * - y 106-151: Safe (glucose 4.5-9)
-   * - y 151-156: Blend yellow→red (glucose 4-4.5)
-   * - y >= 156: Danger low (glucose <= 4)
+   * Get color for a Y coordinate with smooth transitions (same blending as the blob)
    */
   getColorForY(y) {
-    const COLORS = {
-      safe: '#7ED321',
-      warning: '#FFD700',
-      danger: '#FF4444'
-    };
+    return getColorForGlucose(this.yToGlucose(y), this.targetRange);
+  }
 
-    // Y boundaries for zones
-    const DANGER_HIGH_Y = 96;    // glucose = 10
-    const BLEND_HIGH_Y = 101;    // glucose = 9.5
-    const WARNING_HIGH_Y = 106;  // glucose = 9
-    const WARNING_LOW_Y = 151;   // glucose = 4.5
-    const DANGER_LOW_Y = 156;    // glucose = 4
+  /**
+   * Get zone name for color (for segment clipping)
+   */
+  getZoneNameForY(y) {
+    if (y < this.zoneY.dangerHigh) return 'danger-high';
+    if (y <= this.zoneY.warningHigh) return 'warning-high';
+    if (y < this.zoneY.warningLow) return 'safe';
+    if (y <= this.zoneY.dangerLow) return 'warning-low';
+    return 'danger-low';
+  }
 
-    // Danger zones (pure red)
-    if (y <= DANGER_HIGH_Y || y >= DANGER_LOW_Y) {
-      return COLORS.danger;
-    }
+  /**
+   * Vertical extent of the zone containing a Y coordinate (clip-path Y and height)
+   */
+  getZoneClipForY(y) {
+    const { dangerHigh, warningHigh, warningLow, dangerLow } = this.zoneY;
 
-    // Safe zone (pure green)
-    if (y >= WARNING_HIGH_Y && y <= WARNING_LOW_Y) {
-      return COLORS.safe;
+    if (y < dangerHigh) {
+      // Danger high zone
+      return { clipY: 0, clipHeight: dangerHigh };
     }
-
-    // High warning zone (y 96-106, glucose 9-10)
-    if (y > DANGER_HIGH_Y && y < WARNING_HIGH_Y) {
-      if (y <= BLEND_HIGH_Y) {
-        // Blend yellow to red (y 96-101, glucose 9.5-10)
-        const t = (BLEND_HIGH_Y - y) / 5;
-        return this.blendColors(COLORS.warning, COLORS.danger, t);
-      }
-      // Pure yellow (y 101-106, glucose 9-9.5)
-      return COLORS.warning;
+    if (y < warningHigh) {
+      // Warning high zone
+      return { clipY: dangerHigh, clipHeight: warningHigh - dangerHigh };
     }
-
-    // Low warning zone (y 151-156, glucose 4-4.5) - blend throughout
-    if (y > WARNING_LOW_Y && y < DANGER_LOW_Y) {
-      // Blend yellow to red (as y increases / glucose decreases)
-      const t = (y - WARNING_LOW_Y) / 5;
-      return this.blendColors(COLORS.warning, COLORS.danger, t);
+    if (y < warningLow) {
+      // Safe zone
+      return { clipY: warningHigh, clipHeight: warningLow - warningHigh };
     }
-
-    return COLORS.safe;
+    if (y < dangerLow) {
+      // Warning low zone
+      return { clipY: warningLow, clipHeight: dangerLow - warningLow };
+    }
+    // Danger low zone
+    return { clipY: dangerLow, clipHeight: 252 - dangerLow };
   }
 
   /**
-   * Blend two hex colors
-   * @param {string} color1 - First hex color
-   * @param {string} color2 - Second hex color
-   * @param {number} t - Blend factor (0 = color1, 1 = color2)
+   * Clip the highlight to a segment (X) and the zone containing y (Y)
    */
-  blendColors(color1, color2, t) {
-    // Parse hex colors
-    const r1 = parseInt(color1.slice(1, 3), 16);
-    const g1 = parseInt(color1.slice(3, 5), 16);
-    const b1 = parseInt(color1.slice(5, 7), 16);
-
-    const r2 = parseInt(color2.slice(1, 3), 16);
-    const g2 = parseInt(color2.slice(3, 5), 16);
-    const b2 = parseInt(color2.slice(5, 7), 16);
-
-    // Interpolate
-    const r = Math.round(r1 + (r2 - r1) * t);
-    const g = Math.round(g1 + (g2 - g1) * t);
-    const b = Math.round(b1 + (b2 - b1) * t);
-
-    // Return hex
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-  }
-
-  /**
-   * Get zone name for color (for segment clipping)
-   */
-  getZoneNameForY(y) {
-    const DANGER_HIGH_Y = 96;
-    const WARNING_HIGH_Y = 106;
-    const WARNING_LOW_Y = 151;
-    const DANGER_LOW_Y = 156;
-
-    if (y < DANGER_HIGH_Y) return 'danger-high';
-    if (y <= WARNING_HIGH_Y) return 'warning-high';
-    if (y < WARNING_LOW_Y) return 'safe';
-    if (y <= DANGER_LOW_Y) return 'warning-low';
-    return 'danger-low';
+  setSegmentClip(segment, y) {
+    if (!this.segmentClipRect || !segment) return;
+
+    const { clipY, clipHeight } = this.getZoneClipForY(y);
+    const startX = Math.floor(segment.startX) - 2;
+    const endX = Math.ceil(segment.endX) + 3;
+    this.segmentClipRect.setAttribute('x', startX);
+    this.segmentClipRect.setAttribute('y', clipY);
+    this.segmentClipRect.setAttribute('width', endX - startX);
+    this.segmentClipRect.setAttribute('height', clipHeight);
   }
 
   /**
@@ -472,12 +499,47 @@ class GraphSlider {
    * Calibrated so y=96 → glucose=10 and y=156 → glucose=4
    */
   yToGlucose(y) {
-    // Linear mapping based on boundary lines
-    // Upper boundary: y=96 → glucose=10
-    // Lower boundary: y=156 → glucose=4
-    // Rate: (10-4)/(156-96) = 6/60 = 0.1 glucose per pixel
-    const glucosePerPixel = 6 / 60; // 0.1
-    return 10 - (y - this.upperBoundaryY) * glucosePerPixel;
+    // Linear mapping on the fixed scale (values in mmol/L - converted only for display)
+    // y=96 → glucose=10, y=156 → glucose=4
+    // Rate: (10-4)/(156-96) = 6/60 = 0.1 mmol/L (~1.8 mg/dL) per pixel
+    return this.scaleTopGlucose - (y - this.scaleTopY) * this.getGlucosePerPixel();
+  }
+
+  /**
+   * Convert X position to a timestamp (maxX = now)
+   */
+  getTimeForX(x) {
+    const ratio = (this.maxX - x) / (this.maxX - this.minX);
+    return this.endTime - ratio * this.historyDuration;
+  }
+
+  /**
+   * Convert timestamp to X position
+   */
+  getXForTime(timestamp) {
+    const ratio = (this.endTime - timestamp) / this.historyDuration;
+    return this.maxX - ratio * (this.maxX - this.minX);
+  }
+
+  /**
+   * Glucose at X from the readings (null inside a signal gap or after the latest reading
+   * went stale); falls back to the path's Y when the graph has no readings
+   */
+  getGlucoseForX(x) {
+    if (this.endTime !== null && window.getGlucoseNearTime) {
+      return getGlucoseNearTime(this.readings, this.getTimeForX(x));
+    }
+    return this.yToGlucose(this.getYForX(x));
+  }
+
+  /**
+   * Insulin on board at a past X ("IOB 2,4 j"), empty at "now" (home shows it) or when none
+   */
+  getIobLineForX(x) {
+    if (this.endTime === null || Math.abs(x - this.maxX) < 5 || !window.calculateIob) return '';
+
+    const iob = calculateIob(this.treatments, this.getTimeForX(x));
+    return iob >= 0.05 ? `IOB ${formatInsulin(iob)}` : '';
   }
 
   /**
@@ -486,18 +548,8 @@ class GraphSlider {
    */
   getFuzzyTime(x) {
     const ratio = (this.maxX - x) / this.maxX;
-    const minutesAgo = ratio * 360; // Assume 6 hours of history
-
-    if (minutesAgo < 1) return { line1: 'now', line2: '' };
-    if (minutesAgo < 5) return { line1: 'just now', line2: '' };
-    if (minutesAgo < 30) return { line1: 'few min', line2: 'ago' };
-    if (minutesAgo < 60) return { line1: '30 min ago', line2: '' };
-    if (minutesAgo < 120) return { line1: '1 h ago', line2: '' };
-    if (minutesAgo < 180) return { line1: '2 h ago', line2: '' };
-    if (minutesAgo < 240) return { line1: '3 h ago', line2: '' };
-    if (minutesAgo < 300) return { line1: '4 h ago', line2: '' };
-    if (minutesAgo < 360) return { line1: '5 h ago', line2: '' };
-    return { line1: '6 h ago', line2: '' };
+    const minutesAgo = ratio * this.historyDuration / 60000;
+    return getFuzzyTimeForMinutes(minutesAgo); // Vocabulary in utils/fuzzy-time.js
   }
 
   /**
@@ -608,35 +660,7 @@ class GraphSlider {
    * Used at "now" position where colors are handled by app.js
    */
   updateClipPath(x, y) {
-    const currentSegment = this.getSegmentForX(x);
-
-    // Zone boundaries for clip
-    const DANGER_HIGH_Y = 96;
-    const WARNING_HIGH_Y = 106;
-    const WARNING_LOW_Y = 151;
-    const DANGER_LOW_Y = 156;
-
-    let clipY, clipHeight;
-    if (y < DANGER_HIGH_Y) {
-      clipY = 0; clipHeight = DANGER_HIGH_Y;
-    } else if (y < WARNING_HIGH_Y) {
-      clipY = DANGER_HIGH_Y; clipHeight = WARNING_HIGH_Y - DANGER_HIGH_Y;
-    } else if (y < WARNING_LOW_Y) {
-      clipY = WARNING_HIGH_Y; clipHeight = WARNING_LOW_Y - WARNING_HIGH_Y;
-    } else if (y < DANGER_LOW_Y) {
-      clipY = WARNING_LOW_Y; clipHeight = DANGER_LOW_Y - WARNING_LOW_Y;
-    } else {
-      clipY = DANGER_LOW_Y; clipHeight = 252 - DANGER_LOW_Y;
-    }
-
-    if (this.segmentClipRect && currentSegment) {
-      const startX = Math.floor(currentSegment.startX) - 2;
-      const endX = Math.ceil(currentSegment.endX) + 3;
-      this.segmentClipRect.setAttribute('x', startX);
-      this.segmentClipRect.setAttribute('y', clipY);
-      this.segmentClipRect.setAttribute('width', endX - startX);
-      this.segmentClipRect.setAttribute('height', clipHeight);
-    }
+    this.setSegmentClip(this.getSegmentForX(x), y);
   }
 
   /**
@@ -654,35 +678,7 @@ class GraphSlider {
     }
 
     // Still need to update clip-path based on position
-    const currentSegment = this.getSegmentForX(x);
-
-    // Zone boundaries for clip
-    const DANGER_HIGH_Y = 96;
-    const WARNING_HIGH_Y = 106;
-    const WARNING_LOW_Y = 151;
-    const DANGER_LOW_Y = 156;
-
-    let clipY, clipHeight;
-    if (y < DANGER_HIGH_Y) {
-      clipY = 0; clipHeight = DANGER_HIGH_Y;
-    } else if (y < WARNING_HIGH_Y) {
-      clipY = DANGER_HIGH_Y; clipHeight = WARNING_HIGH_Y - DANGER_HIGH_Y;
-    } else if (y < WARNING_LOW_Y) {
-      clipY = WARNING_HIGH_Y; clipHeight = WARNING_LOW_Y - WARNING_HIGH_Y;
-    } else if (y < DANGER_LOW_Y) {
-      clipY = WARNING_LOW_Y; clipHeight = DANGER_LOW_Y - WARNING_LOW_Y;
-    } else {
-      clipY = DANGER_LOW_Y; clipHeight = 252 - DANGER_LOW_Y;
-    }
-
-    if (this.segmentClipRect && currentSegment) {
-      const startX = Math.floor(currentSegment.startX) - 2;
-      const endX = Math.ceil(currentSegment.endX) + 3;
-      this.segmentClipRect.setAttribute('x', startX);
-      this.segmentClipRect.setAttribute('y', clipY);
-      this.segmentClipRect.setAttribute('width', endX - startX);
-      this.segmentClipRect.setAttribute('height', clipHeight);
-    }
+    this.setSegmentClip(this.getSegmentForX(x), y);
   }
 
   /**
@@ -690,43 +686,9 @@ class GraphSlider {
    * Each zone (safe/warning/danger) has its own color, clip shows only current zone segment
    */
   updateColors(x, y, isDanger, isLow) {
-    // Zone boundaries
-    const DANGER_HIGH_Y = 96;    // glucose = 10
-    const WARNING_HIGH_Y = 106;  // glucose = 9
-    const WARNING_LOW_Y = 151;   // glucose = 4.5
-    const DANGER_LOW_Y = 156;    // glucose = 4
-
     // Get blended color based on Y position (matches blob's color logic)
     const segmentColor = this.getColorForY(y);
 
-    // Determine clip zone based on Y position
-    let clipY, clipHeight;
-
-    if (y < DANGER_HIGH_Y) {
-      // Danger high zone (glucose > 10)
-      clipY = 0;
-      clipHeight = DANGER_HIGH_Y;
-    } else if (y < WARNING_HIGH_Y) {
-      // Warning high zone (glucose 9-10)
-      clipY = DANGER_HIGH_Y;
-      clipHeight = WARNING_HIGH_Y - DANGER_HIGH_Y;
-    } else if (y < WARNING_LOW_Y) {
-      // Safe zone (glucose 4.5-9)
-      clipY = WARNING_HIGH_Y;
-      clipHeight = WARNING_LOW_Y - WARNING_HIGH_Y;
-    } else if (y < DANGER_LOW_Y) {
-      // Warning low zone (glucose 4-4.5)
-      clipY = WARNING_LOW_Y;
-      clipHeight = DANGER_LOW_Y - WARNING_LOW_Y;
-    } else {
-      // Danger low zone (glucose < 4)
-      clipY = DANGER_LOW_Y;
-      clipHeight = 252 - DANGER_LOW_Y;
-    }
-
-    // Get current segment (X boundaries)
-    const currentSegment = this.getSegmentForX(x);
-
     // Update slider elements with zone color
     this.sliderDot.style.fill = segmentColor;
     this.sliderLine.style.stroke = segmentColor;
@@ -738,14 +700,19 @@ class GraphSlider {
     }
 
     // Update clip-path: X from segment, Y from zone
-    if (this.segmentClipRect && currentSegment) {
-      const startX = Math.floor(currentSegment.startX) - 2;
-      const endX = Math.ceil(currentSegment.endX) + 3;
-      this.segmentClipRect.setAttribute('x', startX);
-      this.segmentClipRect.setAttribute('y', clipY);
-      this.segmentClipRect.setAttribute('width', endX - startX);
-      this.segmentClipRect.setAttribute('height', clipHeight);
+    this.setSegmentClip(this.getSegmentForX(x), y);
+  }
+
+  /**
+   * Trend at a given X position from the readings' rate of change (15 min before that moment)
+   * Returns one of 5 discrete angles, or null when there is not enough data there.
+   * Falls back to the path's geometric slope when the graph has no readings.
+   */
+  getTrendAngleAtX(x) {
+    if (this.endTime !== null && window.calculateTrend) {
+      return calculateTrend(this.readings, this.getTimeForX(x)).angle;
     }
+    return this.getSlopeAngleAtX(x);
   }
 
   /**
@@ -796,45 +763,10 @@ class GraphSlider {
   }
 
   /**
-   * Get color for glucose value with smooth blending at thresholds
-   * Blending happens: 9.5-10 (yellow→red) and 4.0-4.5 (yellow→red)
+   * Get color for glucose value (shared zone colors, user's target range)
    */
   getColorForGlucose(glucose) {
-    const COLORS = {
-      SAFE: '#7ED321',
-      WARNING: '#FFD700',
-      DANGER: '#FF4444'
-    };
-
-    // Danger zones (pure red)
-    if (glucose <= 4.0 || glucose >= 10.0) {
-      return COLORS.DANGER;
-    }
-
-    // Safe zone (pure green)
-    if (glucose >= 4.5 && glucose <= 9.0) {
-      return COLORS.SAFE;
-    }
-
-    // High warning zone (9.0 - 10.0)
-    if (glucose > 9.0 && glucose < 10.0) {
-      if (glucose >= 9.5) {
-        // Blend from yellow to red (9.5 to 10)
-        const t = (glucose - 9.5) / 0.5;
-        return this.blendColors(COLORS.WARNING, COLORS.DANGER, t);
-      }
-      // Pure yellow (9.0 to 9.5)
-      return COLORS.WARNING;
-    }
-
-    // Low warning zone (4.0 - 4.5) - blend throughout
-    if (glucose > 4.0 && glucose < 4.5) {
-      // Blend from yellow (at 4.5) to red (at 4.0)
-      const t = (4.5 - glucose) / 0.5;
-      return this.blendColors(COLORS.WARNING, COLORS.DANGER, t);
-    }
-
-    return COLORS.SAFE;
+    return getColorForGlucose(glucose, this.targetRange);
   }
 
   /**
@@ -846,6 +778,14 @@ class GraphSlider {
     const glucoseTextElement = document.querySelector('.nav-circle-base .nav-glucose');
     const arrow = document.querySelector('.nav-circle-base .nav-arrow');
 
+    // No data at this moment: a dash, no trend
+    if (glucose === null) {
+      if (glucoseTextElement) glucoseTextElement.style.fill = '';
+      if (glucoseText) glucoseText.textContent = '—';
+      if (arrow) arrow.style.visibility = 'hidden';
+      return;
+    }
+
     // Use blended colors for glucose text and arrow (matches blob)
     const color = this.getColorForGlucose(glucose);
 
@@ -858,17 +798,20 @@ class GraphSlider {
       glucoseArrow.style.stroke = color;
     }
 
-    const displayValue = glucose.toFixed(1).replace('.', ',');
+    const displayValue = formatGlucose(glucose, window.sweetieSettings.get('glucoseUnit'));
 
     if (glucoseText) {
       glucoseText.textContent = displayValue;
     }
 
-    // Calculate trend angle from graph slope at current position
-    const trendAngle = this.getSlopeAngleAtX(this.currentX);
+    // Trend at the scrubbed moment (null = not enough readings)
+    const trendAngle = this.getTrendAngleAtX(this.currentX);
 
-    // Update arrow position and rotation based on text width and graph slope
-    if (glucoseTextElement && arrow) {
+    // Update arrow position and rotation based on text width and trend
+    if (arrow) {
+      arrow.style.visibility = trendAngle === null ? 'hidden' : '';
+    }
+    if (glucoseTextElement && arrow && trendAngle !== null) {
       const textBBox = glucoseTextElement.getBBox();
       const gap = 2;
       const arrowX = textBBox.x + textBBox.width + gap;
@@ -886,115 +829,279 @@ class GraphSlider {
   }
 
   /**
-   * Generate a random graph path that ends at a specific Y value
-   * @param {number} endY - The Y coordinate at the end (current glucose)
-   * @param {number} trendAngle - Optional trend angle (0, 45, 90, 135, 180) to determine end slope
+   * Update the graph path and re-initialize
    */
-  generateRandomPath(endY, trendAngle = null) {
-    const endX = 206;
-    const startX = 0;
-
-    // Calculate target slope at end based on trend angle
-    // trendAngle: 0=rising fast, 45=rising, 90=stable, 135=falling, 180=falling fast
-    let endSlope = 0;
-    if (trendAngle !== null) {
-      const slopeMap = {
-        0: -1.2,    // Rising fast
-        45: -0.5,   // Rising
-        90: 0,      // Stable
-        135: 0.5,   // Falling
-        180: 1.2    // Falling fast
-      };
-      endSlope = slopeMap[trendAngle] || 0;
+  updateGraphPath(newPath) {
+    // Update both base and highlight paths
+    if (this.graphLineBase) {
+      this.graphLineBase.setAttribute('d', newPath);
+    }
+    if (this.graphLineHighlight) {
+      this.graphLineHighlight.setAttribute('d', newPath);
+    }
+
+    // Store new path and re-sample
+    this.originalPathData = newPath;
+    this.samplePath();
+    this.findBoundaryCrossings();
+
+    // Markers follow the line
+    this.renderMarkers();
+
+    // Reset spring to current position
+    if (this.dotSpring) {
+      this.dotSpring.setValue(this.currentX);
     }
 
-    // Start Y is completely random within safe display range
-    // This ensures variety - graph doesn't just follow end value
-    const startY = 70 + Math.random() * 100; // Random between 70-170 (covers all zones)
+    // Update slider position to refresh colors/segments (immediate, no animation)
+    this.updateSliderPosition(this.currentX, true);
+  }
 
-    // Generate 4-5 control points
-    const numPoints = 4 + Math.floor(Math.random() * 2);
-    const points = [{x: startX, y: startY}];
+  /**
+   * Build the graph path from timestamped readings (same calibration as glucoseToY)
+   * @param {Array} readings - { value, timestamp }, oldest first
+   * @param {number} endTime - Timestamp drawn at the "now" position
+   */
+  buildPathFromReadings(readings, endTime) {
+    return buildGlucosePath(readings, {
+      endTime,
+      duration: this.historyDuration,
+      startX: this.minX,
+      endX: this.maxX,
+      toY: (glucose) => this.glucoseToY(glucose)
+    });
+  }
 
-    // Middle points are random - independent of end value
-    for (let i = 1; i < numPoints; i++) {
-      const progress = i / numPoints;
-      const x = startX + progress * (endX - startX);
+  /**
+   * Redraw the graph from the store's reading history whenever readings change.
+   * The right edge is the clock's "now", so a signal loss shows as an empty stretch there.
+   */
+  bindStore(store) {
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    this.store = store;
 
-      let y;
-      if (progress < 0.7) {
-        // First 70% of graph: completely random, creates variety
-        y = 60 + Math.random() * 130; // Random between 60-190
-      } else {
-        // Last 30%: transition toward end point with correct slope
-        const remainingX = endX - x;
-        const slopeBias = endSlope * remainingX * 0.5;
-        y = endY + slopeBias + (Math.random() - 0.5) * 25;
+    this.unsubscribeStore = store.subscribe((state, change) => {
+      if (change === 'reading' || change === 'value' || change === 'stale') {
+        this.rebuildFromStore(state);
       }
+    });
 
-      // Clamp to visible bounds
-      points.push({x, y: Math.max(50, Math.min(200, y))});
-    }
+    // Build initial graph from current state
+    this.rebuildFromStore(store.getState());
+  }
 
-    // Add end point (this is the only fixed point based on glucose value)
-    points.push({x: endX, y: endY});
+  rebuildFromStore(state) {
+    if (!state.readings.length) return;
 
-    // Build smooth bezier path
-    let path = `M${points[0].x},${points[0].y}`;
+    this.readings = state.readings;
+    this.endTime = window.sweetieClock.now();
 
-    for (let i = 0; i < points.length - 1; i++) {
-      const p0 = points[Math.max(0, i - 1)];
-      const p1 = points[i];
-      const p2 = points[i + 1];
-      const p3 = points[Math.min(points.length - 1, i + 2)];
+    const path = this.buildPathFromReadings(this.readings, this.endTime);
+    if (path) {
+      this.updateGraphPath(path);
+    }
+    this.renderForecast();
+  }
 
-      // Calculate control points for smooth curve
-      const cp1x = p1.x + (p2.x - p0.x) / 6;
-      const cp1y = p1.y + (p2.y - p0.y) / 6;
-      const cp2x = p2.x - (p3.x - p1.x) / 6;
-      const cp2y = p2.y - (p3.y - p1.y) / 6;
+  /**
+   * Move "now" along while no readings arrive (called on the clock tick) - once a minute
+   * is enough for the gap to grow visibly
+   */
+  refreshTime() {
+    if (!this.store || this.endTime === null) return;
+    if (window.sweetieClock.now() - this.endTime < 60 * 1000) return;
+    this.rebuildFromStore(this.store.getState());
+  }
 
-      path += ` C${cp1x.toFixed(0)},${cp1y.toFixed(0)} ${cp2x.toFixed(0)},${cp2y.toFixed(0)} ${p2.x.toFixed(0)},${p2.y.toFixed(0)}`;
+  /**
+   * Dashed projection from "now" into the next 30 minutes (utils/forecast.js),
+   * drawn in the panic color when it reaches the danger-low threshold
+   */
+  renderForecast() {
+    if (!this.forecastPath) return;
+
+    // Nothing to project from stale data
+    const isStale = this.store ? this.store.isStale() : false;
+    const forecast = this.endTime !== null && !isStale ? forecastGlucose(this.readings, this.treatments) : [];
+    if (forecast.length < 2) {
+      this.forecastPath.setAttribute('d', '');
+      return;
     }
 
-    return path;
+    // Same time scale as the history, continuing right of maxX
+    const start = forecast[0].timestamp;
+    const duration = forecast[forecast.length - 1].timestamp - start;
+    const pxPerMs = (this.maxX - this.minX) / this.historyDuration;
+
+    this.forecastPath.setAttribute('d', buildGlucosePath(forecast, {
+      endTime: start + duration,
+      duration,
+      startX: this.getXForTime(start),
+      endX: this.getXForTime(start) + duration * pxPerMs,
+      toY: (glucose) => this.glucoseToY(glucose)
+    }));
+
+    const dangerLow = this.targetRange ? this.targetRange.dangerLow : getTargetRange().dangerLow;
+    this.forecastPath.classList.toggle('low', findForecastLow(forecast, dangerLow) !== null);
   }
 
   /**
-   * Update the graph path and re-initialize
+   * Show journal entries as markers - redrawn whenever the journal changes
    */
-  updateGraphPath(newPath) {
-    // Update both base and highlight paths
-    if (this.graphLineBase) {
-      this.graphLineBase.setAttribute('d', newPath);
-    }
-    if (this.graphLineHighlight) {
-      this.graphLineHighlight.setAttribute('d', newPath);
+  bindJournal(journal) {
+    if (this.unsubscribeJournal) this.unsubscribeJournal();
+
+    const update = () => this.setTreatments(journal.getEntries());
+    this.unsubscribeJournal = journal.subscribe(update);
+    update();
+  }
+
+  /**
+   * Replace the treatments drawn on the graph
+   * @param {Array} entries - Journal entries { id, type, amount, timestamp }
+   */
+  setTreatments(entries) {
+    this.treatments = entries;
+    this.renderMarkers();
+    this.renderForecast(); // Insulin on board bends the projection
+
+    // Refresh the label in case the slider is resting on a marker
+    if (this.pathSamples) {
+      this.updateTimeLabel(this.currentX, this.getYForX(this.currentX));
     }
+  }
 
-    // Store new path and re-sample
-    this.originalPathData = newPath;
-    this.samplePath();
-    this.findBoundaryCrossings();
+  /**
+   * Treatments inside the visible window with their X position
+   * Entries logged after the graph was built are drawn at "now"
+   */
+  getVisibleTreatments() {
+    if (this.endTime === null) return [];
 
-    // Reset spring to current position
-    if (this.dotSpring) {
-      this.dotSpring.setValue(this.currentX);
+    return this.treatments
+      .map(entry => ({ entry, x: Math.min(this.maxX, this.getXForTime(entry.timestamp)) }))
+      .filter(({ x }) => x >= this.minX);
+  }
+
+  /**
+   * Treatment whose marker is closest to X (within the hit radius), or null
+   */
+  getTreatmentAtX(x) {
+    let closest = null;
+    let closestDistance = this.markerHitRadius;
+
+    this.getVisibleTreatments().forEach(({ entry, x: markerX }) => {
+      const distance = Math.abs(markerX - x);
+      if (distance <= closestDistance) {
+        closest = entry;
+        closestDistance = distance;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Draw a small icon for each visible treatment along the graph line
+   */
+  renderMarkers() {
+    if (!this.markersGroup) return;
+
+    while (this.markersGroup.firstChild) {
+      this.markersGroup.firstChild.remove();
     }
+    if (!this.pathSamples) return;
 
-    // Update slider position to refresh colors/segments (immediate, no animation)
-    this.updateSliderPosition(this.currentX, true);
+    const svgNS = 'http://www.w3.org/2000/svg';
+
+    this.getVisibleTreatments().forEach(({ entry, x }) => {
+      const lineY = this.getYForX(x);
+      const y = lineY - this.markerOffset < this.markerMinY
+        ? lineY + this.markerOffset
+        : lineY - this.markerOffset;
+
+      const icon = getTreatmentIcon(entry);
+
+      const marker = document.createElementNS(svgNS, 'g');
+      marker.setAttribute('class', `graph-marker graph-marker-${entry.type}`);
+      marker.setAttribute('transform', `translate(${x.toFixed(1)}, ${y.toFixed(1)})`);
+      marker.dataset.id = entry.id;
+
+      const bg = document.createElementNS(svgNS, 'circle');
+      bg.setAttribute('class', 'graph-marker-bg');
+      bg.setAttribute('r', '7');
+
+      const path = document.createElementNS(svgNS, 'path');
+      path.setAttribute('class', icon.outline ? 'graph-marker-icon outline' : 'graph-marker-icon');
+      path.setAttribute('d', icon.path);
+
+      marker.appendChild(bg);
+      marker.appendChild(path);
+      this.markersGroup.appendChild(marker);
+    });
+
+    this.setActiveMarker(this.getTreatmentAtX(this.currentX));
+  }
+
+  /**
+   * Highlight the marker the slider is resting on
+   */
+  setActiveMarker(entry) {
+    if (!this.markersGroup) return;
+
+    this.markersGroup.querySelectorAll('.graph-marker').forEach((marker) => {
+      marker.classList.toggle('active', entry !== null && marker.dataset.id === entry.id);
+    });
   }
 
   /**
    * Convert glucose value to Y coordinate
    */
   glucoseToY(glucose) {
-    // Linear mapping based on boundary lines
-    // Upper boundary: y=96 → glucose=10
-    // Lower boundary: y=156 → glucose=4
-    const glucosePerPixel = 6 / 60; // 0.1
-    return this.upperBoundaryY + (10 - glucose) / glucosePerPixel;
+    // Linear mapping on the fixed scale: y=96 → glucose=10, y=156 → glucose=4
+    return this.scaleTopY + (this.scaleTopGlucose - glucose) / this.getGlucosePerPixel();
+  }
+
+  /**
+   * Glucose (mmol/L) per pixel of graph height
+   */
+  getGlucosePerPixel() {
+    return (this.scaleTopGlucose - this.scaleBottomGlucose) / (this.scaleBottomY - this.scaleTopY);
+  }
+
+  /**
+   * Move zone boundaries and boundary lines to a target range
+   */
+  setZoneBoundaries(range) {
+    this.targetRange = range;
+    this.zoneY = {
+      dangerHigh: this.glucoseToY(range.dangerHigh),
+      warningHigh: this.glucoseToY(range.warningHigh),
+      warningLow: this.glucoseToY(range.warningLow),
+      dangerLow: this.glucoseToY(range.dangerLow)
+    };
+    this.upperBoundaryY = this.zoneY.dangerHigh;
+    this.lowerBoundaryY = this.zoneY.dangerLow;
+
+    // Upper line at dangerHigh, lower line at dangerLow
+    const lineYs = [this.upperBoundaryY, this.lowerBoundaryY];
+    Array.from(this.boundaryLines || []).forEach((line, index) => {
+      if (lineYs[index] === undefined) return;
+      line.setAttribute('y1', lineYs[index]);
+      line.setAttribute('y2', lineYs[index]);
+    });
+  }
+
+  /**
+   * Apply a new target range - recolors segments and the slider in place
+   */
+  applyTargetRange(range) {
+    this.setZoneBoundaries(range);
+    this.renderForecast();
+    if (!this.pathSamples) return;
+
+    this.findBoundaryCrossings();
+    this.updateSliderPosition(this.currentX, true);
   }
 
   /**
@@ -1065,6 +1172,15 @@ class GraphSlider {
       const svgRect = this.svg.getBoundingClientRect();
       const svgX = ((e.clientX - svgRect.left) / svgRect.width) * 252;
 
+      // Tapping the marker the slider already rests on opens it for editing
+      const treatment = this.getTreatmentAtX(svgX);
+      if (treatment && treatment === this.getTreatmentAtX(this.currentX)) {
+        document.dispatchEvent(new CustomEvent('treatmentSelected', {
+          detail: { id: treatment.id }
+        }));
+        return;
+      }
+
       // Animate to clicked position with spring physics
       this.updateSliderPosition(svgX, false);
     });
@@ -1096,36 +1212,8 @@ class GraphSlider {
     }
 
     // Reset clip based on current position's zone
-    if (this.segmentClipRect && this.segments && this.segments.length > 0) {
-      const lastSegment = this.segments[this.segments.length - 1];
-      const y = this.getYForX(this.maxX);
-
-      const startX = Math.floor(lastSegment.startX) - 2;
-      const endX = Math.ceil(lastSegment.endX) + 3;
-
-      // Determine clip Y based on zone
-      const DANGER_HIGH_Y = 96;
-      const WARNING_HIGH_Y = 106;
-      const WARNING_LOW_Y = 151;
-      const DANGER_LOW_Y = 156;
-
-      let clipY, clipHeight;
-      if (y < DANGER_HIGH_Y) {
-        clipY = 0; clipHeight = DANGER_HIGH_Y;
-      } else if (y < WARNING_HIGH_Y) {
-        clipY = DANGER_HIGH_Y; clipHeight = WARNING_HIGH_Y - DANGER_HIGH_Y;
-      } else if (y < WARNING_LOW_Y) {
-        clipY = WARNING_HIGH_Y; clipHeight = WARNING_LOW_Y - WARNING_HIGH_Y;
-      } else if (y < DANGER_LOW_Y) {
-        clipY = WARNING_LOW_Y; clipHeight = DANGER_LOW_Y - WARNING_LOW_Y;
-      } else {
-        clipY = DANGER_LOW_Y; clipHeight = 252 - DANGER_LOW_Y;
-      }
-
-      this.segmentClipRect.setAttribute('x', startX);
-      this.segmentClipRect.setAttribute('y', clipY);
-      this.segmentClipRect.setAttribute('width', endX - startX);
-      this.segmentClipRect.setAttribute('height', clipHeight);
+    if (this.segments && this.segments.length > 0) {
+      this.setSegmentClip(this.segments[this.segments.length - 1], this.getYForX(this.maxX));
     }
   }
 }
@@ -0,0 +1,226 @@
+/**
+ * Hypo Follow-up Controller
+ * Honey ("Med") taken while low starts the 15/15 rule: re-check glucose after 15 minutes
+ * and ask "još nisko - uzmi još?" when it hasn't recovered.
+ * Progress and outcome are stored on the honey entry (details.followUp) so they survive a reload.
+ */
+
+const HYPO_RECHECK_DELAY = 15 * 60 * 1000;  // 15/15 rule: re-check 15 minutes after treating
+const HYPO_RECHECK_EXPIRY = 30 * 60 * 1000; // Re-checks this overdue (app was closed) are dropped
+
+class HypoFollowUpController {
+  /**
+   * @param {Object} options - { journal, store, clock }
+   */
+  constructor(options) {
+    this.journal = options.journal;
+    this.store = options.store;
+    this.clock = options.clock;
+
+    this.screen = document.querySelector('[data-screen="hypo-check"]');
+    this.timers = new Map(); // entry id → clock timer id
+    this.promptEntryId = null;
+
+    this.init();
+  }
+
+  init() {
+    // Pending re-checks from before a reload; corrected entries move theirs, deleted entries cancel theirs
+    this.journal.subscribe((entry, change) => {
+      if (change === 'load') this.resumePending();
+      if (change === 'update') this.reschedule(entry);
+      if (change === 'remove') this.forget(entry.id);
+    });
+
+    if (!this.screen) return;
+
+    // Keep taps on the prompt from swiping pages
+    this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('mousedown', (e) => e.stopPropagation());
+
+    this.screen.querySelectorAll('.hypo-check-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.answer(btn.dataset.answer === 'yes'));
+    });
+  }
+
+  /**
+   * Start a follow-up for a new honey entry if glucose was low when it was taken
+   */
+  track(entry) {
+    if (!entry || entry.type !== 'med') return;
+
+    const glucose = this.getGlucoseAt(entry.timestamp);
+    if (glucose === null || !isLowGlucose(glucose)) return;
+
+    const followUp = {
+      status: 'pending',
+      glucoseAtEntry: glucose,
+      dueAt: entry.timestamp + HYPO_RECHECK_DELAY
+    };
+
+    this.record(entry.id, followUp);
+    this.schedule(entry.id, followUp.dueAt);
+  }
+
+  /**
+   * Reschedule re-checks still pending in the journal
+   */
+  resumePending() {
+    const now = this.clock.now();
+
+    this.journal.getEntries({ type: 'med' }).forEach((entry) => {
+      const followUp = entry.details.followUp;
+      if (!followUp || followUp.status !== 'pending' || this.timers.has(entry.id)) return;
+
+      if (now - followUp.dueAt > HYPO_RECHECK_EXPIRY) {
+        this.record(entry.id, { ...followUp, status: 'missed' });
+        return;
+      }
+      this.schedule(entry.id, followUp.dueAt);
+    });
+  }
+
+  /**
+   * Move a pending re-check when its honey entry's time was corrected
+   */
+  reschedule(entry) {
+    const followUp = entry.type === 'med' ? entry.details.followUp : null;
+    if (!followUp || followUp.status !== 'pending') return;
+
+    const dueAt = entry.timestamp + HYPO_RECHECK_DELAY;
+    if (dueAt === followUp.dueAt) return;
+
+    if (this.clock.now() - dueAt > HYPO_RECHECK_EXPIRY) {
+      this.cancel(entry.id);
+      this.record(entry.id, { ...followUp, dueAt, status: 'missed' });
+      return;
+    }
+    this.record(entry.id, { ...followUp, dueAt });
+    this.schedule(entry.id, dueAt);
+  }
+
+  /**
+   * A deleted honey entry drops its re-check and any prompt still asking about it
+   */
+  forget(id) {
+    this.cancel(id);
+    if (this.promptEntryId === id) this.hidePrompt();
+  }
+
+  schedule(id, dueAt) {
+    this.cancel(id);
+    const timerId = this.clock.setTimeout(() => {
+      this.timers.delete(id);
+      this.recheck(id);
+    }, Math.max(0, dueAt - this.clock.now()));
+    this.timers.set(id, timerId);
+  }
+
+  cancel(id) {
+    if (!this.timers.has(id)) return;
+    this.clock.clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  /**
+   * Compare the new reading: recovered is recorded quietly, still low (or no data) asks
+   */
+  recheck(id) {
+    const entry = this.journal.getEntry(id);
+    if (!entry || !entry.details.followUp) return;
+
+    const glucose = this.store.isStale() ? null : this.store.getCurrentValue();
+    let status = 'recovered';
+    if (glucose === null) status = 'no-data';
+    else if (isLowGlucose(glucose)) status = 'still-low';
+
+    this.record(id, {
+      ...entry.details.followUp,
+      status,
+      checkedAt: this.clock.now(),
+      glucose
+    });
+
+    if (status !== 'recovered') {
+      this.showPrompt(id, glucose);
+    }
+  }
+
+  /**
+   * "3,6 mmol/L · Još nisko · Uzmi još meda?" (or "Provjeri glukozu" without a reading)
+   */
+  showPrompt(id, glucose) {
+    if (!this.screen) return;
+
+    this.promptEntryId = id;
+
+    const unit = window.sweetieSettings.get('glucoseUnit');
+    this.screen.querySelector('.hypo-check-value').textContent = glucose !== null
+      ? `${formatGlucose(glucose, unit)} ${getGlucoseUnitLabel(unit)}`
+      : '';
+    this.screen.querySelector('.hypo-check-title').textContent = glucose !== null
+      ? 'Još nisko'
+      : 'Provjeri glukozu';
+
+    hideFixedTime(this.screen);
+
+    this.screen.classList.add('active');
+  }
+
+  hidePrompt() {
+    if (!this.screen) return;
+
+    this.screen.classList.remove('active');
+    this.promptEntryId = null;
+
+    showFixedTime(this.screen);
+  }
+
+  /**
+   * Record the answer - "yes" opens the honey screen (that entry starts its own follow-up)
+   */
+  answer(takeAnother) {
+    const entry = this.journal.getEntry(this.promptEntryId);
+    this.hidePrompt();
+
+    if (entry && entry.details.followUp) {
+      this.record(entry.id, { ...entry.details.followUp, action: takeAnother ? 'another' : 'declined' });
+    }
+
+    if (takeAnother) {
+      document.dispatchEvent(new CustomEvent('contextMenuAction', {
+        detail: { action: 'med' }
+      }));
+    }
+  }
+
+  /**
+   * Store follow-up state on the honey entry
+   */
+  record(id, followUp) {
+    const entry = this.journal.getEntry(id);
+    if (!entry) return;
+
+    this.journal.update(id, { details: { ...entry.details, followUp } })
+      .catch(error => console.warn('Hypo follow-up not recorded', error));
+  }
+
+  /**
+   * Glucose at a moment from the store's readings (latest value for "now")
+   */
+  getGlucoseAt(timestamp) {
+    const glucose = getGlucoseAtTime(this.store.getReadings(), timestamp);
+    return glucose !== null ? glucose : this.store.getCurrentValue();
+  }
+}
+
+/**
+ * Below the target range (borderline or dangerous low)
+ */
+function isLowGlucose(glucose) {
+  const zone = getGlucoseZone(glucose);
+  return zone === 'warning-low' || zone === 'danger-low';
+}
+
+// Export
+window.HypoFollowUpController = HypoFollowUpController;
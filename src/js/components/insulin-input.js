@@ -1,33 +1,39 @@
 /**
  * Insulin Input Controller
  * Handles the insulin logging flow with M3 Expressive animations
+ * Rapid insulin opens on the bolus calculator's suggestion when it is enabled
+ * Doses are capped per type and a recent dose of the same type asks before logging again
  */
 
+/**
+ * One decimal with European comma, signed when asked ("+1,2", "−0,8")
+ */
+function formatBolusPart(value, signed = false) {
+  const text = Math.abs(value).toFixed(1).replace('.', ',');
+  if (!signed) return text;
+  return `${value < 0 ? '−' : '+'}${text}`;
+}
+
 class InsulinInputController {
   constructor() {
     this.screen = document.querySelector('[data-screen="insulin-input"]');
-    this.confirmScreen = document.querySelector('[data-screen="insulin-confirm"]');
-    this.homeScreen = document.querySelector('[data-screen="home"]');
 
     // State
     this.selectedType = 'brzi'; // 'brzi' or 'dnevni'
-    this.selectedUnits = 10;
+    this.defaultUnits = 10;
+    this.selectedUnits = this.defaultUnits;
     this.minUnits = 1;
     this.maxUnits = 50;
+    this.bolusSuggestion = null; // suggestBolus() result while rapid insulin is selected
 
     // Elements
     this.tabs = null;
-    this.pickerItems = null;
+    this.bolusBreakdown = null;
+    this.doseWarning = null;
+    this.timeSelector = null; // Optional backdated entry time
+    this.picker = null;       // NumberPicker for units
     this.confirmBtn = null;
 
-    // Touch/drag state
-    this.isDragging = false;
-    this.startY = 0;
-    this.currentOffset = 0;
-
-    // Spring for smooth scrolling
-    this.scrollSpring = null;
-
     this.init();
   }
 
@@ -35,8 +41,10 @@ class InsulinInputController {
     if (!this.screen) return;
 
     this.tabs = this.screen.querySelectorAll('.insulin-tab');
-    this.pickerItems = this.screen.querySelector('.picker-items');
     this.confirmBtn = this.screen.querySelector('.confirm-btn');
+    this.bolusBreakdown = this.screen.querySelector('.bolus-breakdown');
+    this.doseWarning = this.screen.querySelector('.dose-warning');
+    this.timeSelector = new EntryTimeSelector(this.screen);
 
     // Prevent page swipes when on this screen
     this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
@@ -46,17 +54,10 @@ class InsulinInputController {
     this.screen.addEventListener('mousemove', (e) => e.stopPropagation());
     this.screen.addEventListener('mouseup', (e) => e.stopPropagation());
 
-    // Create scroll spring (M3 Expressive - fluid with slight overshoot)
-    this.scrollSpring = new Spring({
-      stiffness: 100,
-      damping: 26,
-      mass: 1,
-      initialValue: 0,
-      onUpdate: (value) => {
-        if (this.pickerItems) {
-          this.pickerItems.style.transform = `translateY(${value}px)`;
-        }
-      }
+    // Picker drag/scroll
+    this.picker = new NumberPicker(this.screen.querySelector('.number-picker'), {
+      containerCenter: 80, // Half of 160px container
+      onStep: (direction) => this.incrementUnits(direction)
     });
 
     // Generate picker numbers
@@ -67,162 +68,49 @@ class InsulinInputController {
       tab.addEventListener('click', () => this.selectType(tab.dataset.type));
     });
 
+    // Tapping the breakdown moves the picker back to the suggestion
+    if (this.bolusBreakdown) {
+      this.bolusBreakdown.addEventListener('click', () => this.applyBolusSuggestion());
+    }
+
     // Confirm button
     if (this.confirmBtn) {
       this.confirmBtn.addEventListener('click', () => this.confirm());
     }
 
-    // Picker drag/scroll
-    this.setupPickerInteraction();
+    // Duplicate dose warning answers
+    if (this.doseWarning) {
+      this.doseWarning.querySelectorAll('.dose-warning-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          this.hideDoseWarning();
+          if (btn.dataset.answer === 'yes') this.logDose();
+        });
+      });
+    }
   }
 
   generatePickerItems() {
-    if (!this.pickerItems) return;
-
-    this.pickerItems.innerHTML = '';
-
-    for (let i = this.minUnits; i <= this.maxUnits; i++) {
-      const item = document.createElement('div');
-      item.className = 'picker-item';
-      item.dataset.value = i;
-      item.textContent = i.toString().padStart(2, '0');
-      this.pickerItems.appendChild(item);
-    }
+    const units = [];
+    for (let i = this.minUnits; i <= this.maxUnits; i++) units.push(i);
 
+    this.picker.setItems(units, value => value.toString().padStart(2, '0'));
     this.updatePickerDisplay();
   }
 
   updatePickerDisplay(animate = true) {
-    const items = this.pickerItems.querySelectorAll('.picker-item');
-    const selectedIndex = this.selectedUnits - this.minUnits;
-    const itemHeight = 32;
-    const containerCenter = 80; // Half of 160px container
-
-    items.forEach((item, index) => {
-      const distance = index - selectedIndex;
-      const absDistance = Math.abs(distance);
-
-      // M3 Expressive: Scale based on distance from center
-      // Center item is largest, items scale down towards edges
-      const scale = Math.max(0.6, 1 - absDistance * 0.15);
-
-      // Opacity based on distance
-      const opacity = Math.max(0.15, 1 - absDistance * 0.3);
-
-      // Font size interpolation
-      const baseFontSize = 36;
-      const minFontSize = 16;
-      const fontSize = Math.max(minFontSize, baseFontSize - absDistance * 8);
-
-      // Apply transforms with CSS transitions for smooth interpolation
-      item.style.transform = `scale(${scale})`;
-      item.style.opacity = opacity;
-      item.style.fontSize = `${fontSize}px`;
-      item.style.fontWeight = absDistance === 0 ? '500' : '400';
-    });
-
-    // Center the selected item
-    const offset = -(selectedIndex * itemHeight) + containerCenter - (itemHeight / 2);
-
-    // Use spring animation for smooth scrolling
-    if (this.scrollSpring && animate) {
-      this.scrollSpring.setTarget(offset);
-    } else {
-      if (this.scrollSpring) this.scrollSpring.setValue(offset);
-      this.pickerItems.style.transform = `translateY(${offset}px)`;
-    }
+    this.picker.select(this.selectedUnits - this.minUnits, animate);
   }
 
-  setupPickerInteraction() {
-    const picker = this.screen.querySelector('.number-picker');
-    if (!picker) return;
-
-    // Track touch count for precision mode
-    this.touchCount = 0;
-    this.lastTwoFingerY = 0;
-
-    // Touch events - simple one finger drag
-    picker.addEventListener('touchstart', (e) => {
-      e.stopPropagation();
-      if (e.touches.length === 1) {
-        this.isDragging = true;
-        this.startY = e.touches[0].clientY;
-      }
-    });
-
-    picker.addEventListener('touchmove', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-
-      if (this.isDragging && e.touches.length === 1) {
-        const y = e.touches[0].clientY;
-        const delta = this.startY - y;
-
-        // 25px drag for one unit change
-        if (Math.abs(delta) >= 25) {
-          if (delta > 0) {
-            this.incrementUnits(1);
-          } else {
-            this.incrementUnits(-1);
-          }
-          this.startY = y;
-        }
-      }
-    });
-
-    picker.addEventListener('touchend', (e) => {
-      this.isDragging = false;
-    });
-
-    // Mouse events
-    picker.addEventListener('mousedown', (e) => this.handleDragStart(e.clientY));
-    picker.addEventListener('mousemove', (e) => {
-      if (this.isDragging) this.handleDragMove(e.clientY);
-    });
-    picker.addEventListener('mouseup', () => this.handleDragEnd());
-    picker.addEventListener('mouseleave', () => this.handleDragEnd());
-
-    // Wheel event
-    picker.addEventListener('wheel', (e) => {
-      e.preventDefault();
-      if (e.deltaY > 0) {
-        this.incrementUnits(1);
-      } else {
-        this.incrementUnits(-1);
-      }
-    });
-  }
-
-  handleDragStart(y) {
-    this.isDragging = true;
-    this.startY = y;
-    this.currentOffset = 0;
-  }
-
-  handleDragMove(y) {
-    if (!this.isDragging) return;
-
-    const delta = this.startY - y;
-
-    // Update units based on drag distance (40px per unit for controlled feel)
-    if (Math.abs(delta) >= 40) {
-      if (delta > 0) {
-        this.incrementUnits(1);
-      } else {
-        this.incrementUnits(-1);
-      }
-      this.startY = y;
-    }
-  }
-
-  handleDragEnd() {
-    this.isDragging = false;
-    this.currentOffset = 0;
+  /**
+   * Largest dose the picker allows for the selected type
+   */
+  getMaxUnits() {
+    return Math.min(this.maxUnits, getMaxDose(this.selectedType));
   }
 
   incrementUnits(delta) {
     const newValue = this.selectedUnits + delta;
-    if (newValue >= this.minUnits && newValue <= this.maxUnits) {
+    if (newValue >= this.minUnits && newValue <= this.getMaxUnits()) {
       this.selectedUnits = newValue;
       this.updatePickerDisplay();
     }
@@ -238,6 +126,69 @@ class InsulinInputController {
         tab.classList.remove('active');
       }
     });
+
+    // Keep the picker under the new type's maximum
+    if (this.selectedUnits > this.getMaxUnits()) {
+      this.selectedUnits = this.getMaxUnits();
+      this.updatePickerDisplay();
+    }
+
+    // Suggestion only applies to rapid insulin
+    this.updateBolusBreakdown();
+  }
+
+  /**
+   * Ask the bolus calculator for a dose (null when disabled or basal is selected)
+   */
+  getBolusSuggestion() {
+    const settings = window.sweetieSettings;
+    const journal = window.treatmentJournal;
+    const store = window.glucoseStore;
+
+    if (this.selectedType !== 'brzi' || !journal || !settings || !settings.get('bolusWizard')) {
+      return null;
+    }
+
+    // No correction from a stale reading
+    const glucose = store && !store.isStale() ? store.getCurrentValue() : null;
+    return suggestBolus(journal.getEntries(), glucose, window.sweetieClock.now());
+  }
+
+  /**
+   * Move the picker to the suggested dose (capped at the picker maximum) - a suggestion
+   * below the smallest dose leaves the picker where it is, the breakdown says "bez doze"
+   */
+  applyBolusSuggestion(animate = true) {
+    if (!this.bolusSuggestion || this.bolusSuggestion.units < this.minUnits) return;
+
+    this.selectedUnits = Math.min(this.getMaxUnits(), this.bolusSuggestion.units);
+    this.updatePickerDisplay(animate);
+  }
+
+  /**
+   * Show how the suggestion was built: "UH 4,5 · kor. +1,2 · IOB −0,8" over "prijedlog 4 j"
+   */
+  updateBolusBreakdown() {
+    if (!this.bolusBreakdown) return;
+
+    const suggestion = this.bolusSuggestion;
+    this.bolusBreakdown.hidden = !suggestion || this.selectedType !== 'brzi';
+    if (this.bolusBreakdown.hidden) return;
+
+    const parts = [];
+    if (suggestion.carbs > 0) parts.push(`UH ${formatBolusPart(suggestion.carbDose)}`);
+    if (suggestion.glucose !== null) parts.push(`kor. ${formatBolusPart(suggestion.correction, true)}`);
+    if (suggestion.iob >= 0.05) parts.push(`IOB ${formatBolusPart(-suggestion.iob, true)}`);
+
+    this.bolusBreakdown.querySelector('.bolus-parts').textContent = parts.join(' · ') || 'bez glukoze i obroka';
+    const maxUnits = this.getMaxUnits();
+    const noDose = suggestion.units < this.minUnits;
+    this.bolusBreakdown.classList.toggle('no-dose', noDose);
+
+    let total = `prijedlog ${suggestion.units} j`;
+    if (noDose) total = 'prijedlog: bez doze';
+    else if (suggestion.units > maxUnits) total += ` · max ${maxUnits}`;
+    this.bolusBreakdown.querySelector('.bolus-total').textContent = total;
   }
 
   /**
@@ -246,16 +197,16 @@ class InsulinInputController {
   show() {
     if (!this.screen) return;
 
-    // Hide clock
-    const fixedTime = document.querySelector('.fixed-time');
-    const fixedTimeKnockout = document.querySelector('.fixed-time-knockout');
-    if (fixedTime) fixedTime.style.opacity = '0';
-    if (fixedTimeKnockout) fixedTimeKnockout.style.opacity = '0';
+    hideFixedTime(this.screen);
 
-    // Reset to defaults
-    this.selectedUnits = 10;
+    // Reset to defaults, rapid insulin starts on the suggested dose
+    this.selectedUnits = this.defaultUnits;
     this.selectedType = 'brzi';
+    this.hideDoseWarning();
+    this.timeSelector.reset();
+    this.bolusSuggestion = this.getBolusSuggestion();
     this.selectType('brzi');
+    this.applyBolusSuggestion(false);
 
     // Set initial position without animation
     this.updatePickerDisplay(false);
@@ -273,295 +224,71 @@ class InsulinInputController {
   }
 
   /**
-   * Confirm the insulin entry and show confirmation
-   * Uses the real glucose blob instead of a transition blob for seamless animation
+   * Confirm the insulin entry - asks first when the same type was logged recently
    */
   confirm() {
-    // Resetiraj home ekran na početno stanje (sakrij graf, prikaži blob)
-    if (window.resetToHomeView) {
-      window.resetToHomeView();
-    }
-
-    const units = this.selectedUnits;
-    const type = this.selectedType;
-    const typeLabel = type === 'brzi' ? 'brzog' : 'dnevnog';
-
-    // Get glucose blob instance
-    const blobInstance = window.glucoseBlob;
-
-    // Get elements
-    const inputContent = this.screen.querySelector('.insulin-input-content');
-    const navCircle = this.homeScreen.querySelector('.nav-circle');
-    const homeBlob = this.homeScreen.querySelector('.glucose-blob');
-    const addContextBtn = this.homeScreen.querySelector('.add-context-btn');
-
-    // Lock glucose blob to center
-    if (blobInstance && blobInstance.lockToCenter) {
-      blobInstance.lockToCenter();
-    }
-
-    // Prepare home screen - hide nav elements, show blob
-    if (navCircle) navCircle.style.opacity = '0';
-    if (addContextBtn) addContextBtn.style.opacity = '0';
-    if (homeBlob) homeBlob.style.opacity = '1'; // Blob is visible from start
-
-    // Show home screen behind insulin screen
-    if (this.homeScreen) {
-      this.homeScreen.classList.add('active');
+    const journal = window.treatmentJournal;
+    const duplicate = journal
+      ? findDuplicateDose(journal.getEntries(), this.selectedType, this.timeSelector.getTimestamp())
+      : null;
+
+    if (duplicate) {
+      this.showDoseWarning(duplicate);
+      return;
     }
 
-    // Create checkmark overlay on the real blob
-    const checkmarkOverlay = this.createCheckmarkOverlay();
-    if (homeBlob) {
-      homeBlob.appendChild(checkmarkOverlay);
-    }
-
-    // Create confirmation text overlay
-    const confirmTextOverlay = this.createConfirmTextOverlay(units, type);
-    this.homeScreen.appendChild(confirmTextOverlay);
-
-    // Hide confirm button
-    this.confirmBtn.style.opacity = '0';
-
-    // Fade out insulin input content
-    requestAnimationFrame(() => {
-      if (inputContent) {
-        inputContent.style.transition = 'opacity 0.5s ease-out';
-        inputContent.style.opacity = '0';
-      }
-      // Fade out insulin screen background
-      this.screen.style.transition = 'opacity 0.5s ease-out';
-      this.screen.style.opacity = '0';
-    });
-
-    // At 500ms: show checkmark and confirmation text
-    setTimeout(() => {
-      checkmarkOverlay.style.transition = 'opacity 0.3s ease-out';
-      checkmarkOverlay.style.opacity = '1';
-      confirmTextOverlay.style.opacity = '1';
-    }, 500);
-
-    // At 1100ms: fade out checkmark
-    setTimeout(() => {
-      checkmarkOverlay.style.transition = 'opacity 0.5s ease-out';
-      checkmarkOverlay.style.opacity = '0';
-    }, 1100);
-
-    // At 2500ms: fade out confirmation text, fade in nav elements
-    setTimeout(() => {
-      confirmTextOverlay.style.transition = 'opacity 0.5s ease-out';
-      confirmTextOverlay.style.opacity = '0';
-
-      if (navCircle) {
-        navCircle.style.transition = 'opacity 0.6s ease-out';
-        navCircle.style.opacity = '1';
-      }
-      if (addContextBtn) {
-        addContextBtn.style.transition = 'opacity 0.6s ease-out';
-        addContextBtn.style.opacity = '1';
-      }
-    }, 2500);
-
-    // Final cleanup at 3200ms
-    setTimeout(() => {
-      this.hide();
-
-      // Remove overlays
-      if (checkmarkOverlay.parentNode) checkmarkOverlay.remove();
-      if (confirmTextOverlay.parentNode) confirmTextOverlay.remove();
-
-      // Reset all styles
-      this.screen.style.transition = '';
-      this.screen.style.opacity = '';
-      this.confirmBtn.style.opacity = '';
-      if (inputContent) {
-        inputContent.style.transition = '';
-        inputContent.style.opacity = '';
-      }
-      if (navCircle) {
-        navCircle.style.transition = '';
-        navCircle.style.opacity = '';
-      }
-      if (addContextBtn) {
-        addContextBtn.style.transition = '';
-        addContextBtn.style.opacity = '';
-      }
-      if (homeBlob) {
-        homeBlob.style.transition = '';
-        homeBlob.style.opacity = '';
-      }
-
-      // Show clock again
-      const fixedTime = document.querySelector('.fixed-time');
-      const fixedTimeKnockout = document.querySelector('.fixed-time-knockout');
-      if (fixedTime) fixedTime.style.opacity = '';
-      if (fixedTimeKnockout) fixedTimeKnockout.style.opacity = '';
-
-      // Unlock glucose blob from center - smooth ease out
-      if (blobInstance && blobInstance.unlockFromCenter) {
-        blobInstance.unlockFromCenter();
-      }
-
-      // Log the entry
-      console.log(`Insulin logged: ${units} jedinica ${typeLabel}`);
-
-      // Dispatch event
-      document.dispatchEvent(new CustomEvent('insulinLogged', {
-        detail: { units, type }
-      }));
-    }, 3200);
+    this.logDose();
   }
 
   /**
-   * Create checkmark SVG overlay for the blob
+   * Ask "8 jedinica brzog prije 12 min - upisati opet?" over the picker
    */
-  createCheckmarkOverlay() {
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('viewBox', '0 0 100 100');
-    svg.style.cssText = `
-      position: absolute;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      opacity: 0;
-      pointer-events: none;
-    `;
-
-    const checkmark = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    checkmark.setAttribute('d', 'M 38 50 L 46 58 L 62 42');
-    checkmark.setAttribute('stroke', '#000000');
-    checkmark.setAttribute('stroke-width', '4');
-    checkmark.setAttribute('stroke-linecap', 'round');
-    checkmark.setAttribute('stroke-linejoin', 'round');
-    checkmark.setAttribute('fill', 'none');
-    svg.appendChild(checkmark);
-
-    return svg;
-  }
+  showDoseWarning(entry) {
+    if (!this.doseWarning) return;
 
-  /**
-   * Create confirmation text overlay
-   */
-  createConfirmTextOverlay(units, type) {
-    const typeLabel = type === 'brzi' ? 'brzog' : 'dnevnog';
-
-    const textSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    textSvg.setAttribute('viewBox', '0 0 252 252');
-    textSvg.setAttribute('width', '252');
-    textSvg.setAttribute('height', '252');
-    textSvg.style.cssText = `
-      position: absolute;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      opacity: 0;
-      transition: opacity 0.3s ease-out;
-      pointer-events: none;
-      z-index: 10;
-    `;
-
-    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-    const arcPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    arcPath.setAttribute('id', 'confirmTextArc');
-    arcPath.setAttribute('d', 'M 42.2,161.5 A 91,91 0 0,0 209.8,161.5');
-    arcPath.setAttribute('fill', 'none');
-    defs.appendChild(arcPath);
-    textSvg.appendChild(defs);
-
-    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    text.setAttribute('fill', '#ffffff');
-    text.setAttribute('font-family', 'Roboto Flex, sans-serif');
-    text.setAttribute('font-size', '18');
-    text.setAttribute('font-weight', '400');
-    text.setAttribute('letter-spacing', '1');
-
-    const textPath = document.createElementNS('http://www.w3.org/2000/svg', 'textPath');
-    textPath.setAttribute('href', '#confirmTextArc');
-    textPath.setAttribute('startOffset', '50%');
-    textPath.setAttribute('text-anchor', 'middle');
-    textPath.textContent = `${units} jedinica ${typeLabel}`;
-
-    text.appendChild(textPath);
-    textSvg.appendChild(text);
-
-    return textSvg;
-  }
-
-  updateConfirmationText(units, typeLabel) {
-    if (!this.confirmScreen) return;
+    const minutesAgo = Math.max(0, Math.round((window.sweetieClock.now() - entry.timestamp) / 60000));
+    const ago = minutesAgo < 60 ? `${minutesAgo} min` : `${Math.round(minutesAgo / 60)} h`;
+    this.doseWarning.querySelector('.dose-warning-text').textContent =
+      `${entry.amount} jedinica ${this.getTypeLabel(entry.type)} prije ${ago}`;
 
-    const textPath = this.confirmScreen.querySelector('.confirm-text textPath');
-    if (textPath) {
-      textPath.innerHTML = `<tspan class="confirm-amount">${units} jedinica</tspan> <tspan class="confirm-type">${typeLabel}</tspan>`;
-    }
+    this.screen.classList.add('warning');
+    this.doseWarning.hidden = false;
   }
 
-  showConfirmation() {
-    if (!this.confirmScreen) return;
-    this.confirmScreen.classList.add('active');
+  hideDoseWarning() {
+    if (!this.doseWarning) return;
+    this.screen.classList.remove('warning');
+    this.doseWarning.hidden = true;
   }
 
-  hideConfirmation() {
-    if (!this.confirmScreen) return;
-
-    const confirmBlob = this.confirmScreen.querySelector('.confirm-blob');
-    const confirmText = this.confirmScreen.querySelector('.confirm-text');
-    const checkmark = confirmBlob?.querySelector('svg');
-
-    // Get glucose color from the home screen
-    const glucoseTextEl = document.querySelector('.nav-glucose');
-    const glucoseColor = glucoseTextEl ? getComputedStyle(glucoseTextEl).fill : '#7ED321';
-
-    // Fade text and checkmark
-    if (confirmText) {
-      confirmText.style.transition = 'opacity 0.5s ease-out';
-      confirmText.style.opacity = '0';
-    }
-    if (checkmark) {
-      checkmark.style.transition = 'opacity 0.5s ease-out';
-      checkmark.style.opacity = '0';
-    }
-
-    // Transition blob color from white to glucose color
-    if (confirmBlob) {
-      confirmBlob.style.transition = 'background-color 0.6s ease-out';
-      confirmBlob.style.backgroundColor = glucoseColor;
-    }
-
-    // After color transition, switch to home screen
-    setTimeout(() => {
-      this.confirmScreen.classList.remove('active');
+  getTypeLabel(type) {
+    return type === 'brzi' ? 'brzog' : 'dnevnog';
+  }
 
-      // Show home screen
-      if (this.homeScreen) {
-        this.homeScreen.classList.add('active');
+  /**
+   * Log the selected dose with the blob-checkmark confirmation (capped at the type's maximum)
+   */
+  logDose() {
+    const units = Math.min(this.selectedUnits, this.getMaxUnits());
+    const type = this.selectedType;
+    const typeLabel = this.getTypeLabel(type);
+    const timestamp = this.timeSelector.getTimestamp();
+
+    playLogConfirmation({
+      screen: this.screen,
+      inputContent: this.screen.querySelector('.insulin-input-content'),
+      confirmBtn: this.confirmBtn,
+      text: `${units} jedinica ${typeLabel}`,
+      onComplete: () => {
+        // Log the entry
+        console.log(`Insulin logged: ${units} jedinica ${typeLabel}`);
+
+        // Dispatch event
+        document.dispatchEvent(new CustomEvent('insulinLogged', {
+          detail: { units, type, timestamp }
+        }));
       }
-
-      // Reset confirm blob for next time
-      setTimeout(() => {
-        if (confirmBlob) {
-          confirmBlob.style.transition = '';
-          confirmBlob.style.backgroundColor = '';
-        }
-        if (confirmText) {
-          confirmText.style.transition = '';
-          confirmText.style.opacity = '1';
-        }
-        if (checkmark) {
-          checkmark.style.transition = '';
-          checkmark.style.opacity = '1';
-        }
-      }, 100);
-
-      // Dispatch event that insulin was logged
-      document.dispatchEvent(new CustomEvent('insulinLogged', {
-        detail: {
-          units: this.selectedUnits,
-          type: this.selectedType
-        }
-      }));
-    }, 600);
+    });
   }
 }
 
@@ -0,0 +1,276 @@
+/**
+ * Log Confirmation
+ * Blob-checkmark confirmation shared by the logging flows (insulin, honey, meal, ...)
+ * Uses the real glucose blob instead of a transition blob for seamless animation:
+ * input screen fades out, checkmark + curved text on the home screen, then nav fades back in.
+ * The entry is only logged at the end, so "Poništi" during the sequence simply cancels it.
+ */
+
+/**
+ * Play the confirmation sequence
+ * @param {Object} options
+ * @param {HTMLElement} options.screen - Input screen being confirmed
+ * @param {HTMLElement} options.inputContent - Content of the input screen (faded out)
+ * @param {HTMLElement} options.confirmBtn - Confirm button (hidden during the sequence)
+ * @param {string} options.text - Confirmation text shown along the bottom arc
+ * @param {Function} options.onComplete - Called after cleanup (dispatch the logged event here)
+ * @param {Function} [options.onUndo] - Called after cleanup when the user cancelled the entry
+ */
+function playLogConfirmation(options) {
+  const { screen, inputContent, confirmBtn, text, onComplete, onUndo } = options;
+  const homeScreen = document.querySelector('[data-screen="home"]');
+
+  // Reset home screen to initial state (hide graph, show blob)
+  if (window.resetToHomeView) {
+    window.resetToHomeView();
+  }
+
+  // Get glucose blob instance
+  const blobInstance = window.glucoseBlob;
+
+  // Get elements
+  const navCircle = homeScreen.querySelector('.nav-circle');
+  const homeBlob = homeScreen.querySelector('.glucose-blob');
+  const addContextBtn = homeScreen.querySelector('.add-context-btn');
+
+  // Lock glucose blob to center
+  if (blobInstance && blobInstance.lockToCenter) {
+    blobInstance.lockToCenter();
+  }
+
+  // Prepare home screen - hide nav elements, show blob
+  if (navCircle) navCircle.style.opacity = '0';
+  if (addContextBtn) addContextBtn.style.opacity = '0';
+  if (homeBlob) homeBlob.style.opacity = '1'; // Blob is visible from start
+
+  // Show home screen behind input screen
+  homeScreen.classList.add('active');
+
+  // Create checkmark overlay on the real blob
+  const checkmarkOverlay = createCheckmarkOverlay();
+  if (homeBlob) {
+    homeBlob.appendChild(checkmarkOverlay);
+  }
+
+  // Create confirmation text overlay
+  const confirmTextOverlay = createConfirmTextOverlay(text);
+  homeScreen.appendChild(confirmTextOverlay);
+
+  // Undo button - available until the confirmation text fades
+  const undoBtn = createUndoButton();
+  homeScreen.appendChild(undoBtn);
+
+  // Timers are kept so undo can cancel the rest of the sequence
+  const timers = [];
+  const schedule = (callback, delay) => timers.push(setTimeout(callback, delay));
+
+  // Hide confirm button
+  confirmBtn.style.opacity = '0';
+
+  // Fade out input content
+  requestAnimationFrame(() => {
+    if (inputContent) {
+      inputContent.style.transition = 'opacity 0.5s ease-out';
+      inputContent.style.opacity = '0';
+    }
+    // Fade out input screen background
+    screen.style.transition = 'opacity 0.5s ease-out';
+    screen.style.opacity = '0';
+  });
+
+  const fadeOutCheckmark = () => {
+    checkmarkOverlay.style.transition = 'opacity 0.5s ease-out';
+    checkmarkOverlay.style.opacity = '0';
+  };
+
+  // Fade out confirmation text and undo, fade in nav elements
+  const showNav = () => {
+    confirmTextOverlay.style.transition = 'opacity 0.5s ease-out';
+    confirmTextOverlay.style.opacity = '0';
+    undoBtn.style.opacity = '0';
+    undoBtn.style.pointerEvents = 'none';
+
+    if (navCircle) {
+      navCircle.style.transition = 'opacity 0.6s ease-out';
+      navCircle.style.opacity = '1';
+    }
+    if (addContextBtn) {
+      addContextBtn.style.transition = 'opacity 0.6s ease-out';
+      addContextBtn.style.opacity = '1';
+    }
+  };
+
+  const cleanup = () => {
+    screen.classList.remove('active');
+
+    // Remove overlays
+    if (checkmarkOverlay.parentNode) checkmarkOverlay.remove();
+    if (confirmTextOverlay.parentNode) confirmTextOverlay.remove();
+    if (undoBtn.parentNode) undoBtn.remove();
+
+    // Reset all styles
+    screen.style.transition = '';
+    screen.style.opacity = '';
+    confirmBtn.style.opacity = '';
+    if (inputContent) {
+      inputContent.style.transition = '';
+      inputContent.style.opacity = '';
+    }
+    if (navCircle) {
+      navCircle.style.transition = '';
+      navCircle.style.opacity = '';
+    }
+    if (addContextBtn) {
+      addContextBtn.style.transition = '';
+      addContextBtn.style.opacity = '';
+    }
+    if (homeBlob) {
+      homeBlob.style.transition = '';
+      homeBlob.style.opacity = '';
+    }
+
+    showFixedTime(screen);
+
+    // Unlock glucose blob from center - smooth ease out
+    if (blobInstance && blobInstance.unlockFromCenter) {
+      blobInstance.unlockFromCenter();
+    }
+  };
+
+  // At 500ms: show checkmark, confirmation text and undo
+  schedule(() => {
+    checkmarkOverlay.style.transition = 'opacity 0.3s ease-out';
+    checkmarkOverlay.style.opacity = '1';
+    confirmTextOverlay.style.opacity = '1';
+    undoBtn.style.opacity = '1';
+    undoBtn.style.pointerEvents = 'auto';
+  }, 500);
+
+  // At 1100ms: fade out checkmark
+  schedule(fadeOutCheckmark, 1100);
+
+  // At 2500ms: fade out confirmation text, fade in nav elements
+  schedule(showNav, 2500);
+
+  // Final cleanup at 3200ms
+  schedule(() => {
+    cleanup();
+
+    if (onComplete) {
+      onComplete();
+    }
+  }, 3200);
+
+  // Undo: cancel the rest of the sequence, say so, then return without logging
+  undoBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    timers.forEach(clearTimeout);
+
+    fadeOutCheckmark();
+    undoBtn.style.opacity = '0';
+    undoBtn.style.pointerEvents = 'none';
+    confirmTextOverlay.querySelector('textPath').textContent = 'Poništeno';
+
+    setTimeout(showNav, 700);
+    setTimeout(() => {
+      cleanup();
+
+      if (onUndo) {
+        onUndo();
+      }
+    }, 1400);
+  });
+}
+
+/**
+ * Create checkmark SVG overlay for the blob
+ */
+function createCheckmarkOverlay() {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('viewBox', '0 0 100 100');
+  svg.style.cssText = `
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    opacity: 0;
+    pointer-events: none;
+  `;
+
+  const checkmark = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  checkmark.setAttribute('d', 'M 38 50 L 46 58 L 62 42');
+  checkmark.setAttribute('stroke', '#000000');
+  checkmark.setAttribute('stroke-width', '4');
+  checkmark.setAttribute('stroke-linecap', 'round');
+  checkmark.setAttribute('stroke-linejoin', 'round');
+  checkmark.setAttribute('fill', 'none');
+  svg.appendChild(checkmark);
+
+  return svg;
+}
+
+/**
+ * Create confirmation text overlay (text follows the bottom arc)
+ */
+function createConfirmTextOverlay(label) {
+  const textSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  textSvg.setAttribute('viewBox', '0 0 252 252');
+  textSvg.setAttribute('width', '252');
+  textSvg.setAttribute('height', '252');
+  textSvg.style.cssText = `
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    opacity: 0;
+    transition: opacity 0.3s ease-out;
+    pointer-events: none;
+    z-index: 10;
+  `;
+
+  const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+  const arcPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  arcPath.setAttribute('id', 'confirmTextArc');
+  arcPath.setAttribute('d', 'M 42.2,161.5 A 91,91 0 0,0 209.8,161.5');
+  arcPath.setAttribute('fill', 'none');
+  defs.appendChild(arcPath);
+  textSvg.appendChild(defs);
+
+  const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  text.setAttribute('fill', '#ffffff');
+  text.setAttribute('font-family', 'Roboto Flex, sans-serif');
+  text.setAttribute('font-size', '18');
+  text.setAttribute('font-weight', '400');
+  text.setAttribute('letter-spacing', '1');
+
+  const textPath = document.createElementNS('http://www.w3.org/2000/svg', 'textPath');
+  textPath.setAttribute('href', '#confirmTextArc');
+  textPath.setAttribute('startOffset', '50%');
+  textPath.setAttribute('text-anchor', 'middle');
+  textPath.textContent = label;
+
+  text.appendChild(textPath);
+  textSvg.appendChild(text);
+
+  return textSvg;
+}
+
+/**
+ * Create the undo button shown on the top arc during the sequence (clock is hidden then)
+ */
+function createUndoButton() {
+  const button = document.createElement('button');
+  button.className = 'log-undo-btn';
+  button.textContent = 'Poništi';
+  button.style.pointerEvents = 'none'; // Enabled once it fades in
+
+  // Don't let the tap start a page swipe
+  button.addEventListener('mousedown', (e) => e.stopPropagation());
+  button.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: true });
+
+  return button;
+}
+
+// Export for input controllers
+window.playLogConfirmation = playLogConfirmation;
@@ -0,0 +1,173 @@
+/**
+ * Meal Input Controller
+ * Handles the meal (carbohydrate) logging flow with M3 Expressive animations
+ * Grams picker in steps of 5g with quick-size presets (small/medium/large)
+ */
+
+// Quick-size presets in grams of carbohydrate
+const MEAL_PRESETS = {
+  small: { label: 'Mali', grams: 20 },
+  medium: { label: 'Srednji', grams: 45 },
+  large: { label: 'Veliki', grams: 75 }
+};
+
+class MealInputController {
+  constructor() {
+    this.screen = document.querySelector('[data-screen="meal-input"]');
+
+    // State
+    this.gramStep = 5;
+    this.minGrams = 5;
+    this.maxGrams = 150;
+    this.defaultPreset = 'medium';
+    this.selectedGrams = MEAL_PRESETS[this.defaultPreset].grams;
+
+    // Elements
+    this.presets = null;
+    this.picker = null;       // NumberPicker for grams
+    this.confirmBtn = null;
+    this.timeSelector = null; // Optional backdated entry time
+
+    this.init();
+  }
+
+  init() {
+    if (!this.screen) return;
+
+    this.presets = this.screen.querySelectorAll('.meal-preset');
+    this.confirmBtn = this.screen.querySelector('.confirm-btn');
+    this.timeSelector = new EntryTimeSelector(this.screen);
+
+    // Prevent page swipes when on this screen
+    this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchmove', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchend', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('mousedown', (e) => e.stopPropagation());
+    this.screen.addEventListener('mousemove', (e) => e.stopPropagation());
+    this.screen.addEventListener('mouseup', (e) => e.stopPropagation());
+
+    // Picker drag/scroll
+    this.picker = new NumberPicker(this.screen.querySelector('.number-picker'), {
+      containerCenter: 80, // Half of 160px container
+      onStep: (direction) => this.incrementGrams(direction)
+    });
+
+    // Generate picker numbers
+    this.generatePickerItems();
+
+    // Preset selection - jumps the picker to the preset size
+    this.presets.forEach(preset => {
+      preset.addEventListener('click', () => this.selectPreset(preset.dataset.preset));
+    });
+
+    // Confirm button
+    if (this.confirmBtn) {
+      this.confirmBtn.addEventListener('click', () => this.confirm());
+    }
+  }
+
+  generatePickerItems() {
+    const grams = [];
+    for (let value = this.minGrams; value <= this.maxGrams; value += this.gramStep) grams.push(value);
+
+    this.picker.setItems(grams);
+    this.updatePickerDisplay();
+  }
+
+  updatePickerDisplay(animate = true) {
+    this.picker.select((this.selectedGrams - this.minGrams) / this.gramStep, animate);
+    this.updatePresetTabs();
+  }
+
+  /**
+   * Move the picker by a number of 5g steps
+   */
+  incrementGrams(steps) {
+    const newValue = this.selectedGrams + steps * this.gramStep;
+    if (newValue >= this.minGrams && newValue <= this.maxGrams) {
+      this.selectedGrams = newValue;
+      this.updatePickerDisplay();
+    }
+  }
+
+  selectPreset(presetName) {
+    const preset = MEAL_PRESETS[presetName];
+    if (!preset) return;
+
+    this.selectedGrams = preset.grams;
+    this.updatePickerDisplay();
+  }
+
+  /**
+   * Preset tab is active while the picker shows exactly its size
+   */
+  getSelectedPreset() {
+    return Object.keys(MEAL_PRESETS).find(name => MEAL_PRESETS[name].grams === this.selectedGrams) || null;
+  }
+
+  updatePresetTabs() {
+    if (!this.presets) return;
+
+    const selectedPreset = this.getSelectedPreset();
+    this.presets.forEach(preset => {
+      preset.classList.toggle('active', preset.dataset.preset === selectedPreset);
+    });
+  }
+
+  /**
+   * Show the meal input screen with animation
+   */
+  show() {
+    if (!this.screen) return;
+
+    hideFixedTime(this.screen);
+
+    // Reset to defaults
+    this.selectedGrams = MEAL_PRESETS[this.defaultPreset].grams;
+    this.timeSelector.reset();
+
+    // Set initial position without animation
+    this.updatePickerDisplay(false);
+
+    // Animate in
+    this.screen.classList.add('active');
+  }
+
+  /**
+   * Hide the meal input screen
+   */
+  hide() {
+    if (!this.screen) return;
+    this.screen.classList.remove('active');
+  }
+
+  /**
+   * Confirm the meal entry and show confirmation
+   * Same animation as insulin confirmation
+   */
+  confirm() {
+    const grams = this.selectedGrams;
+    const preset = this.getSelectedPreset();
+    const label = `${grams} g ugljikohidrata`;
+    const timestamp = this.timeSelector.getTimestamp();
+
+    playLogConfirmation({
+      screen: this.screen,
+      inputContent: this.screen.querySelector('.meal-input-content'),
+      confirmBtn: this.confirmBtn,
+      text: label,
+      onComplete: () => {
+        console.log(`Meal logged: ${label}`);
+
+        // Dispatch event
+        document.dispatchEvent(new CustomEvent('mealLogged', {
+          detail: { grams, preset, timestamp }
+        }));
+      }
+    });
+  }
+}
+
+// Export
+window.MealInputController = MealInputController;
+window.MEAL_PRESETS = MEAL_PRESETS;
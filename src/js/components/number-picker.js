@@ -0,0 +1,165 @@
+/**
+ * Number Picker
+ * Scrolling wheel shared by the logging screens, the entry editor and the timeline: items
+ * scale and fade with distance from the selected one, which springs to the center.
+ * Moved one step at a time by a drag (25px on touch, 40px with the mouse) or the crown/wheel;
+ * the owner keeps the value and decides whether a step is allowed.
+ */
+
+const PICKER_ITEM_HEIGHT = 32;
+const PICKER_TOUCH_STEP = 25; // px of drag per step
+const PICKER_MOUSE_STEP = 40; // px per step for controlled feel
+
+/**
+ * M3 Expressive: the center item is largest, items scale down and fade towards the edges
+ */
+function styleNumberPickerItem(item, absDistance) {
+  const scale = Math.max(0.6, 1 - absDistance * 0.15);
+  const opacity = Math.max(0.15, 1 - absDistance * 0.3);
+  const fontSize = Math.max(16, 36 - absDistance * 8);
+
+  item.style.transform = `scale(${scale})`;
+  item.style.opacity = opacity;
+  item.style.fontSize = `${fontSize}px`;
+  item.style.fontWeight = absDistance === 0 ? '500' : '400';
+}
+
+class NumberPicker {
+  /**
+   * @param {HTMLElement} element - Area that takes drags and wheel (.number-picker)
+   * @param {Object} options
+   * @param {Function} options.onStep - Called with +1 / -1 for each step
+   * @param {number} options.containerCenter - Half the picker height in px
+   * @param {HTMLElement} [options.items] - Moving list (defaults to the .picker-items inside)
+   * @param {number} [options.itemHeight] - Row height in px
+   * @param {Function} [options.styleItem] - (item, absDistance) - defaults to the number style
+   */
+  constructor(element, options) {
+    this.element = element;
+    this.items = options.items || (element && element.querySelector('.picker-items'));
+    this.onStep = options.onStep;
+    this.containerCenter = options.containerCenter;
+    this.itemHeight = options.itemHeight || PICKER_ITEM_HEIGHT;
+    this.styleItem = options.styleItem || styleNumberPickerItem;
+
+    // Touch/drag state
+    this.isDragging = false;
+    this.startY = 0;
+
+    // Spring for smooth scrolling (M3 Expressive - fluid with slight overshoot)
+    this.scrollSpring = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.element || !this.items) return;
+
+    this.scrollSpring = new Spring({
+      stiffness: 100,
+      damping: 26,
+      mass: 1,
+      initialValue: 0,
+      onUpdate: (value) => {
+        this.items.style.transform = `translateY(${value}px)`;
+      }
+    });
+
+    this.setupInteraction();
+  }
+
+  /**
+   * Replace the items with one per value
+   * @param {number[]} values
+   * @param {Function} [format] - Item text for a value
+   */
+  setItems(values, format = value => value.toString()) {
+    if (!this.items) return;
+
+    this.items.innerHTML = '';
+    values.forEach(value => {
+      const item = document.createElement('div');
+      item.className = 'picker-item';
+      item.dataset.value = value;
+      item.textContent = format(value);
+      this.items.appendChild(item);
+    });
+  }
+
+  /**
+   * Style the items around the selected index and bring it to the center
+   */
+  select(selectedIndex, animate = true) {
+    if (!this.items) return;
+
+    Array.from(this.items.children).forEach((item, index) => {
+      this.styleItem(item, Math.abs(index - selectedIndex));
+    });
+
+    const offset = -(selectedIndex * this.itemHeight) + this.containerCenter - (this.itemHeight / 2);
+
+    if (this.scrollSpring && animate) {
+      this.scrollSpring.setTarget(offset);
+    } else {
+      if (this.scrollSpring) this.scrollSpring.setValue(offset);
+      this.items.style.transform = `translateY(${offset}px)`;
+    }
+  }
+
+  setupInteraction() {
+    const picker = this.element;
+
+    // Touch events - one finger drag
+    picker.addEventListener('touchstart', (e) => {
+      e.stopPropagation();
+      if (e.touches.length === 1) {
+        this.isDragging = true;
+        this.startY = e.touches[0].clientY;
+      }
+    });
+
+    picker.addEventListener('touchmove', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (this.isDragging && e.touches.length === 1) {
+        this.dragTo(e.touches[0].clientY, PICKER_TOUCH_STEP);
+      }
+    });
+
+    picker.addEventListener('touchend', () => {
+      this.isDragging = false;
+    });
+
+    // Mouse events
+    picker.addEventListener('mousedown', (e) => {
+      this.isDragging = true;
+      this.startY = e.clientY;
+    });
+    picker.addEventListener('mousemove', (e) => {
+      if (this.isDragging) this.dragTo(e.clientY, PICKER_MOUSE_STEP);
+    });
+    picker.addEventListener('mouseup', () => { this.isDragging = false; });
+    picker.addEventListener('mouseleave', () => { this.isDragging = false; });
+
+    // Wheel / crown
+    picker.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.onStep(e.deltaY > 0 ? 1 : -1);
+    });
+  }
+
+  /**
+   * One step each time the drag covers stepSize px
+   */
+  dragTo(y, stepSize) {
+    const delta = this.startY - y;
+    if (Math.abs(delta) >= stepSize) {
+      this.onStep(delta > 0 ? 1 : -1);
+      this.startY = y;
+    }
+  }
+}
+
+// Export for screen controllers
+window.NumberPicker = NumberPicker;
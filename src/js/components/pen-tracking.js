@@ -0,0 +1,214 @@
+/**
+ * Pen Tracking Controller
+ * Tracking page rows for the insulin pens in use ("Brzi 184 j · 12 d"), colored when a pen
+ * is nearly empty or past its shelf life. Tapping a row asks before starting a new pen,
+ * then takes the units left in it and the day it was opened (a pen already in use counts).
+ */
+
+const PEN_UNIT_STEP = 5;
+const PEN_MAX_DAYS_AGO = 60; // Oldest opening day the new pen screen goes back to
+
+class PenTrackingController {
+  /**
+   * @param {PenInventory} inventory
+   * @param {TrackingNotice} notice - Shows the pen warnings
+   */
+  constructor(inventory, notice) {
+    this.inventory = inventory;
+    this.notice = notice;
+    this.page = document.querySelector('[data-screen="tracking"]');
+    this.openScreen = document.querySelector('[data-screen="pen-open"]');
+
+    // Elements
+    this.rows = null;
+    this.confirmStep = null;
+    this.picker = null;   // NumberPicker for the units left
+    this.dayValue = null;
+
+    // State
+    this.confirmType = null; // Pen type waiting for "Nova olovka?"
+    this.openType = null;    // Pen type on the new pen screen
+    this.selectedUnits = 0;
+    this.daysAgo = 0;
+
+    this.init();
+  }
+
+  init() {
+    if (this.page) {
+      this.rows = this.page.querySelectorAll('.pen-row');
+      this.confirmStep = this.page.querySelector('.pen-confirm');
+
+      this.rows.forEach(row => {
+        row.addEventListener('click', () => this.showConfirm(row.dataset.pen));
+      });
+      this.page.querySelectorAll('.pen-confirm-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.answerConfirm(btn.dataset.answer === 'yes'));
+      });
+    }
+
+    if (this.openScreen) this.initOpenScreen();
+
+    this.inventory.subscribe((type, event, warning) => {
+      this.render();
+      if (event === 'warning') this.showWarning(type, warning);
+    });
+    this.render();
+  }
+
+  /**
+   * Rows for the current pens (called on the clock tick as pens age)
+   */
+  update() {
+    this.inventory.checkAll();
+    this.render();
+  }
+
+  render() {
+    if (!this.rows) return;
+
+    this.rows.forEach(row => {
+      const status = this.inventory.getStatus(row.dataset.pen);
+      const units = row.querySelector('.pen-units');
+
+      units.textContent = status.pen
+        ? `${Math.round(status.pen.units)} j · ${Math.floor(status.age)} d`
+        : 'dodaj';
+
+      row.classList.toggle('panic', status.warnings.includes('empty'));
+      row.classList.toggle('warning', !status.warnings.includes('empty') && status.warnings.length > 0);
+    });
+  }
+
+  /**
+   * "Nova olovka brzog?" - yes goes on to its units and opening day
+   */
+  showConfirm(type) {
+    if (!this.confirmStep || !PEN_TYPES[type]) return;
+
+    this.confirmType = type;
+    this.confirmStep.querySelector('.pen-confirm-question').textContent = `Nova olovka ${PEN_TYPES[type].label}?`;
+    this.page.classList.add('confirming');
+    this.confirmStep.hidden = false;
+  }
+
+  answerConfirm(open) {
+    const type = this.confirmType;
+    this.confirmType = null;
+    this.page.classList.remove('confirming');
+    this.confirmStep.hidden = true;
+    if (!open || !type) return;
+
+    this.showOpenScreen(type);
+  }
+
+  initOpenScreen() {
+    const screen = this.openScreen;
+    this.dayValue = screen.querySelector('.pen-day-value');
+
+    // Prevent page swipes when on this screen
+    screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    screen.addEventListener('touchmove', (e) => e.stopPropagation(), { passive: false });
+    screen.addEventListener('touchend', (e) => e.stopPropagation(), { passive: false });
+    screen.addEventListener('mousedown', (e) => e.stopPropagation());
+    screen.addEventListener('mousemove', (e) => e.stopPropagation());
+    screen.addEventListener('mouseup', (e) => e.stopPropagation());
+
+    // Picker drag/scroll
+    this.picker = new NumberPicker(screen.querySelector('.number-picker'), {
+      containerCenter: 64, // Half of 128px container (same layout as the entry editor)
+      onStep: (direction) => this.incrementUnits(direction)
+    });
+
+    // Day buttons (− earlier / + later)
+    screen.querySelectorAll('.pen-day-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.shiftDay(-Number(btn.dataset.direction)));
+    });
+
+    screen.querySelector('.confirm-btn').addEventListener('click', () => this.confirmOpen());
+  }
+
+  /**
+   * New pen screen - starts on a full pen opened today
+   */
+  showOpenScreen(type) {
+    if (!this.openScreen) return;
+
+    const capacity = PEN_TYPES[type].capacity;
+    this.openType = type;
+    this.selectedUnits = capacity;
+    this.daysAgo = 0;
+
+    const units = [];
+    for (let value = PEN_UNIT_STEP; value <= capacity; value += PEN_UNIT_STEP) units.push(value);
+    this.picker.setItems(units);
+    this.picker.select(this.selectedUnits / PEN_UNIT_STEP - 1, false);
+
+    this.openScreen.querySelector('.pen-open-title').textContent = `Olovka ${PEN_TYPES[type].label}`;
+    this.updateDayDisplay();
+
+    hideFixedTime(this.openScreen);
+    this.openScreen.classList.add('active');
+  }
+
+  hideOpenScreen() {
+    this.openType = null;
+    this.openScreen.classList.remove('active');
+    showFixedTime(this.openScreen);
+  }
+
+  incrementUnits(direction) {
+    const newValue = this.selectedUnits + direction * PEN_UNIT_STEP;
+    if (newValue < PEN_UNIT_STEP || newValue > PEN_TYPES[this.openType].capacity) return;
+
+    this.selectedUnits = newValue;
+    this.picker.select(this.selectedUnits / PEN_UNIT_STEP - 1);
+  }
+
+  /**
+   * Move the opening day - never into the future
+   */
+  shiftDay(days) {
+    this.daysAgo = Math.max(0, Math.min(PEN_MAX_DAYS_AGO, this.daysAgo + days));
+    this.updateDayDisplay();
+  }
+
+  updateDayDisplay() {
+    if (!this.dayValue) return;
+
+    if (this.daysAgo === 0) this.dayValue.textContent = 'danas';
+    else if (this.daysAgo === 1) this.dayValue.textContent = 'jučer';
+    else this.dayValue.textContent = `prije ${this.daysAgo} d`;
+  }
+
+  confirmOpen() {
+    const type = this.openType;
+    if (!type) return;
+
+    const units = this.selectedUnits;
+    const openedAt = this.inventory.clock.now() - this.daysAgo * PEN_DAY;
+    this.hideOpenScreen();
+
+    try {
+      this.inventory.openPen(type, { units, openedAt });
+    } catch (error) {
+      console.warn('Pen not opened', error);
+    }
+  }
+
+  /**
+   * "Olovka brzog skoro prazna · preostalo 14 j"
+   */
+  showWarning(type, warning) {
+    const status = this.inventory.getStatus(type);
+    if (!status.pen || !PEN_WARNINGS[warning]) return;
+
+    const text = warning === 'expired'
+      ? `otvorena prije ${Math.floor(status.age)} dana`
+      : `preostalo ${Math.round(status.pen.units)} j`;
+    this.notice.show(PEN_WARNINGS[warning].title(type), text);
+  }
+}
+
+// Export
+window.PenTrackingController = PenTrackingController;
@@ -0,0 +1,130 @@
+/**
+ * Sensor Tracking Controller
+ * Tracking page: a ring around the watch face (open at the top for the clock) shows the
+ * sensor lifetime left, with time remaining and the expiry in the middle. "Novi senzor"
+ * asks once, then records the change in the journal. Expiry notices (24 h / 2 h) pop up over any screen.
+ */
+
+const SENSOR_WEEKDAYS = ['ned', 'pon', 'uto', 'sri', 'čet', 'pet', 'sub'];
+
+class SensorTrackingController {
+  /**
+   * @param {SensorSession} session
+   * @param {TrackingNotice} notice - Shows the expiry notices
+   */
+  constructor(session, notice) {
+    this.session = session;
+    this.notice = notice;
+    this.page = document.querySelector('[data-screen="tracking"]');
+
+    // Elements
+    this.ring = null;
+    this.remainingText = null;
+    this.detailText = null;
+    this.confirmStep = null;
+
+    this.init();
+  }
+
+  init() {
+    if (this.page) {
+      this.ring = this.page.querySelector('.sensor-ring-progress');
+      this.remainingText = this.page.querySelector('.sensor-remaining');
+      this.detailText = this.page.querySelector('.sensor-detail');
+      this.confirmStep = this.page.querySelector('.sensor-confirm');
+
+      this.page.querySelector('.sensor-new-btn').addEventListener('click', () => this.showConfirm());
+      this.page.querySelectorAll('.sensor-confirm-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.answerConfirm(btn.dataset.answer === 'yes'));
+      });
+    }
+
+    this.session.subscribe((status, event, notice) => {
+      this.render(status);
+      if (event === 'notice' && notice && status.session) {
+        this.notice.show(notice.title, `ističe ${formatSensorDate(status.session.expiresAt)}`);
+      }
+    });
+    this.render(this.session.getStatus());
+  }
+
+  /**
+   * Ring and text for the current state (called on the clock tick as time passes)
+   */
+  update() {
+    this.render(this.session.getStatus());
+  }
+
+  render(status) {
+    if (!this.page) return;
+
+    this.page.dataset.sensorState = status.state;
+
+    // Ring path has pathLength="100"
+    if (this.ring) {
+      this.ring.style.strokeDashoffset = 100 * (1 - status.progress);
+    }
+
+    const session = status.session;
+    switch (status.state) {
+      case 'none':
+        this.setText('—', 'Nema senzora');
+        break;
+      case 'warmup':
+        this.setText(formatSensorRemaining(status.remaining),
+          `zagrijavanje još ${Math.ceil((session.warmupEndsAt - window.sweetieClock.now()) / 60000)} min`);
+        break;
+      case 'expired':
+        this.setText('Istekao', `od ${formatSensorDate(session.expiresAt)}`);
+        break;
+      default:
+        this.setText(formatSensorRemaining(status.remaining), `ističe ${formatSensorDate(session.expiresAt)}`);
+    }
+  }
+
+  setText(remaining, detail) {
+    if (this.remainingText) this.remainingText.textContent = remaining;
+    if (this.detailText) this.detailText.textContent = detail;
+  }
+
+  /**
+   * "Započeti novi senzor?" - replacing a running sensor ends its session
+   */
+  showConfirm() {
+    if (!this.confirmStep) return;
+    this.page.classList.add('confirming');
+    this.confirmStep.hidden = false;
+  }
+
+  answerConfirm(start) {
+    this.page.classList.remove('confirming');
+    this.confirmStep.hidden = true;
+    if (!start) return;
+
+    this.session.start()
+      .catch(error => console.warn('Sensor not started', error));
+  }
+}
+
+/**
+ * Time left: "6 d 4 h", "5 h 20 min", "40 min"
+ */
+function formatSensorRemaining(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days} d ${hours % 24} h`;
+  if (hours > 0) return `${hours} h ${minutes % 60} min`;
+  return `${minutes} min`;
+}
+
+/**
+ * Weekday and clock time: "pet 14:30"
+ */
+function formatSensorDate(timestamp) {
+  return `${SENSOR_WEEKDAYS[new Date(timestamp).getDay()]} ${formatClockTime(timestamp)}`;
+}
+
+// Export
+window.SensorTrackingController = SensorTrackingController;
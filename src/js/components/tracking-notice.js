@@ -0,0 +1,63 @@
+/**
+ * Tracking Notice
+ * Full-screen notice for supplies (sensor expiry, insulin pens) shown over any screen
+ * until dismissed with "U redu". Notices that arrive while one is open wait their turn.
+ */
+
+class TrackingNotice {
+  constructor() {
+    this.screen = document.querySelector('[data-screen="tracking-notice"]');
+    this.queue = []; // { title, text } waiting behind the open notice
+    this.isOpen = false;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.screen) return;
+
+    // Keep taps on the notice from swiping pages
+    this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('mousedown', (e) => e.stopPropagation());
+
+    this.screen.querySelector('.tracking-notice-btn').addEventListener('click', () => this.dismiss());
+  }
+
+  /**
+   * Show a notice (queued when another one is open)
+   */
+  show(title, text = '') {
+    if (!this.screen) return;
+
+    if (this.isOpen) {
+      this.queue.push({ title, text });
+      return;
+    }
+
+    this.isOpen = true;
+    this.screen.querySelector('.tracking-notice-title').textContent = title;
+    this.screen.querySelector('.tracking-notice-text').textContent = text;
+
+    hideFixedTime(this.screen);
+
+    this.screen.classList.add('active');
+  }
+
+  /**
+   * Close the notice, then show the next queued one
+   */
+  dismiss() {
+    if (!this.screen) return;
+
+    this.screen.classList.remove('active');
+    this.isOpen = false;
+
+    showFixedTime(this.screen);
+
+    const next = this.queue.shift();
+    if (next) this.show(next.title, next.text);
+  }
+}
+
+// Export
+window.TrackingNotice = TrackingNotice;
@@ -0,0 +1,215 @@
+/**
+ * Treatment Timeline Controller
+ * Today's entries (insulin, honey, meals, activity) opened from the tracking page, grouped
+ * under hour headers with the glucose at each moment. Scrolled with the crown/wheel or a drag,
+ * one entry at a time, on the number picker's wheel (components/number-picker.js).
+ */
+
+const TIMELINE_TYPES = ['brzi', 'dnevni', 'med', 'meal', 'activity'];
+
+/**
+ * Rows shrink and fade less than picker numbers - they stay readable further out
+ */
+function styleTimelineRow(row, absDistance) {
+  const scale = Math.max(0.7, 1 - absDistance * 0.1);
+  const opacity = Math.max(0.15, 1 - absDistance * 0.25);
+
+  row.style.transform = `scale(${scale})`;
+  row.style.opacity = opacity;
+  row.classList.toggle('selected', absDistance === 0);
+}
+
+class TreatmentTimelineController {
+  /**
+   * @param {Object} options - { journal, store, clock }
+   */
+  constructor(options) {
+    this.journal = options.journal;
+    this.store = options.store;
+    this.clock = options.clock;
+
+    this.screen = document.querySelector('[data-screen="timeline"]');
+    this.trackingPage = document.querySelector('[data-screen="tracking"]');
+
+    // State
+    this.rows = [];           // { kind: 'hour' | 'entry', ... } in display order
+    this.selectedIndex = 0;   // Index into rows, always an entry row
+    this.isOpen = false;
+
+    // Elements
+    this.list = null;
+    this.emptyText = null;
+    this.picker = null; // NumberPicker moving the list
+
+    this.init();
+  }
+
+  init() {
+    if (!this.screen) return;
+
+    this.list = this.screen.querySelector('.timeline-items');
+    this.emptyText = this.screen.querySelector('.timeline-empty');
+
+    // Prevent page swipes when on this screen
+    this.screen.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchmove', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('touchend', (e) => e.stopPropagation(), { passive: false });
+    this.screen.addEventListener('mousedown', (e) => e.stopPropagation());
+    this.screen.addEventListener('mousemove', (e) => e.stopPropagation());
+    this.screen.addEventListener('mouseup', (e) => e.stopPropagation());
+
+    // Same wheel as the number pickers, one row per step
+    this.picker = new NumberPicker(this.screen.querySelector('.timeline-list'), {
+      items: this.list,
+      itemHeight: 36,
+      containerCenter: 80, // Half of 160px list
+      styleItem: styleTimelineRow,
+      onStep: (direction) => this.step(direction)
+    });
+
+    if (this.trackingPage) {
+      const openBtn = this.trackingPage.querySelector('.timeline-open-btn');
+      if (openBtn) openBtn.addEventListener('click', () => this.show());
+    }
+    this.screen.querySelector('.confirm-btn').addEventListener('click', () => this.hide());
+
+    // Entries logged or edited while the timeline is open
+    this.journal.subscribe(() => {
+      if (this.isOpen) this.refresh();
+    });
+  }
+
+  /**
+   * Today's entries, oldest first
+   */
+  getTodayEntries(now = this.clock.now()) {
+    const midnight = new Date(now).setHours(0, 0, 0, 0);
+    return this.journal.getEntries({ from: midnight, to: now })
+      .filter(entry => TIMELINE_TYPES.includes(entry.type));
+  }
+
+  /**
+   * Hour headers followed by that hour's entries - glucose only from a reading near the
+   * entry (null inside a signal gap, shown as "—")
+   */
+  buildRows(entries) {
+    const rows = [];
+    const readings = this.store.getReadings();
+    let hour = null;
+
+    entries.forEach(entry => {
+      const entryHour = new Date(entry.timestamp).getHours();
+      if (entryHour !== hour) {
+        hour = entryHour;
+        rows.push({ kind: 'hour', label: `${String(hour).padStart(2, '0')} h` });
+      }
+      rows.push({ kind: 'entry', entry, glucose: getGlucoseNearTime(readings, entry.timestamp) });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Rebuild the rows, keeping the selected entry (or the latest one) centered
+   */
+  refresh() {
+    const selected = this.rows[this.selectedIndex];
+    const selectedId = selected && selected.kind === 'entry' ? selected.entry.id : null;
+
+    this.rows = this.buildRows(this.getTodayEntries());
+    const keptIndex = this.rows.findIndex(row => row.kind === 'entry' && row.entry.id === selectedId);
+    this.selectedIndex = keptIndex !== -1 ? keptIndex : this.rows.length - 1;
+
+    this.render();
+    this.updateDisplay(false);
+  }
+
+  render() {
+    if (!this.list) return;
+
+    this.list.innerHTML = '';
+    if (this.emptyText) this.emptyText.hidden = this.rows.length > 0;
+
+    const unit = window.sweetieSettings.get('glucoseUnit');
+    this.rows.forEach(row => {
+      const item = document.createElement('div');
+
+      if (row.kind === 'hour') {
+        item.className = 'timeline-hour';
+        item.textContent = row.label;
+      } else {
+        item.className = 'timeline-item';
+        item.dataset.type = row.entry.type;
+
+        const time = document.createElement('span');
+        time.className = 'timeline-time';
+        time.textContent = formatClockTime(row.entry.timestamp);
+
+        const label = document.createElement('span');
+        label.className = 'timeline-label';
+        label.textContent = getTreatmentLabel(row.entry);
+
+        const glucose = document.createElement('span');
+        glucose.className = 'timeline-glucose';
+        if (row.glucose !== null) {
+          glucose.textContent = formatGlucose(row.glucose, unit);
+          glucose.style.color = getColorForGlucose(row.glucose);
+        } else {
+          glucose.textContent = '—';
+        }
+
+        item.append(time, label, glucose);
+      }
+
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Scale and fade rows by distance from the selected entry, then spring it to the center
+   */
+  updateDisplay(animate = true) {
+    this.picker.select(this.selectedIndex, animate);
+  }
+
+  /**
+   * Move to the next or previous entry (hour headers are skipped)
+   */
+  step(direction) {
+    let index = this.selectedIndex + direction;
+    while (this.rows[index] && this.rows[index].kind !== 'entry') {
+      index += direction;
+    }
+    if (!this.rows[index]) return;
+
+    this.selectedIndex = index;
+    this.updateDisplay();
+  }
+
+  /**
+   * Show today's timeline, latest entry centered
+   */
+  show() {
+    if (!this.screen) return;
+
+    hideFixedTime(this.screen);
+
+    this.isOpen = true;
+    this.rows = [];
+    this.refresh();
+
+    this.screen.classList.add('active');
+  }
+
+  hide() {
+    if (!this.screen) return;
+
+    this.isOpen = false;
+    this.screen.classList.remove('active');
+
+    showFixedTime(this.screen);
+  }
+}
+
+// Export
+window.TreatmentTimelineController = TreatmentTimelineController;
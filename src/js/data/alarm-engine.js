@@ -0,0 +1,322 @@
+/**
+ * Alarm Engine
+ * Watches the glucose store and raises urgent-low, low, high and rate-of-change alarms,
+ * plus "urgent low soon" when the forecast (utils/forecast.js) reaches dangerLow and
+ * "signal loss" when no reading has arrived for a while.
+ * Each alarm has a threshold, a snooze duration (after acknowledging) and a repeat
+ * interval (re-alert while unacknowledged). Only the most urgent alarm is shown at a time.
+ */
+
+// Alarm kinds, most urgent first (order decides which one is shown)
+// isTriggered(reading, config) gets { value, rate, forecastLow, age, timestamp } and the alarm's config
+// Only alarms marked staleData can start while the latest reading is stale - the others
+// hold their state until a fresh reading clears them or the user acknowledges
+const ALARM_TYPES = {
+  urgentLow: {
+    label: 'HITNO NISKO',
+    isTriggered: (reading, config) => reading.value <= config.threshold,
+    isLow: true,
+    alwaysOn: true // Can't be switched off
+  },
+  urgentLowSoon: {
+    label: 'Uskoro hitno nisko',
+    isTriggered: (reading) => reading.forecastLow !== null,
+    isLow: true
+  },
+  low: {
+    label: 'Nisko',
+    isTriggered: (reading, config) => reading.value <= config.threshold,
+    isLow: true,
+    rangeThreshold: 'dangerLow' // Threshold follows the target range unless overridden
+  },
+  high: {
+    label: 'Visoko',
+    isTriggered: (reading, config) => reading.value >= config.threshold
+  },
+  rateOfChange: {
+    label: reading => (reading.rate < 0 ? 'Brzi pad' : 'Brzi rast'),
+    isTriggered: (reading, config) => reading.rate !== null && Math.abs(reading.rate) >= config.threshold
+  },
+  signalLoss: {
+    label: 'Nema signala',
+    isTriggered: (reading, config) => reading.age !== Infinity && reading.age >= config.threshold * 60 * 1000,
+    staleData: true
+  }
+};
+
+// Defaults (glucose thresholds in mmol/L, rate in mmol/L per minute, times in minutes)
+const DEFAULT_ALARMS = {
+  urgentLow: { enabled: true, threshold: 3.0, snooze: 15, repeat: 5 },
+  urgentLowSoon: { enabled: true, horizon: 20, snooze: 15, repeat: 10 }, // Forecast below dangerLow within horizon
+  low: { enabled: true, threshold: null, snooze: 30, repeat: 15 }, // null: target range's dangerLow
+  high: { enabled: true, threshold: 13.9, snooze: 60, repeat: 30 },
+  rateOfChange: { enabled: true, threshold: 0.17, snooze: 30, repeat: 30 }, // ~3 mg/dL per minute
+  signalLoss: { enabled: true, threshold: 20, snooze: 30, repeat: 30 }      // Minutes without a reading
+};
+
+class AlarmEngine {
+  /**
+   * @param {Object} options - { store, clock, settings, journal } (journal: IOB for the forecast)
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.clock = options.clock;
+    this.settings = options.settings;
+    this.journal = options.journal || null;
+
+    // Per alarm: { status: 'inactive' | 'alerting' | 'snoozed', since, snoozedUntil, timerId }
+    this.states = {};
+    Object.keys(ALARM_TYPES).forEach((type) => {
+      this.states[type] = { status: 'inactive', since: null, snoozedUntil: null, timerId: null };
+    });
+
+    this.listeners = [];
+    this.unsubscribeStore = null;
+    this.unsubscribeJournal = null;
+    this.signalTimerId = null; // Fires when the latest reading reaches the signal loss threshold
+  }
+
+  /**
+   * Start evaluating on every new reading (and insulin change, which moves the forecast)
+   */
+  start() {
+    this.unsubscribeStore = this.store.subscribe((state, change) => {
+      if (change !== 'trend') this.evaluate();
+    });
+    if (this.journal) {
+      this.unsubscribeJournal = this.journal.subscribe(() => this.evaluate());
+    }
+    this.evaluate();
+  }
+
+  stop() {
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    if (this.unsubscribeJournal) this.unsubscribeJournal();
+    Object.keys(this.states).forEach(type => this.clearTimer(type));
+    this.clearSignalTimer();
+  }
+
+  /**
+   * Alarm configuration merged over the defaults
+   */
+  getConfig(type) {
+    const alarms = this.settings.get('alarms') || {};
+    const config = { ...DEFAULT_ALARMS[type], ...(alarms[type] || {}) };
+    if (ALARM_TYPES[type].alwaysOn) config.enabled = true;
+    if (config.threshold === null && ALARM_TYPES[type].rangeThreshold) {
+      config.threshold = getTargetRange()[ALARM_TYPES[type].rangeThreshold];
+    }
+    return config;
+  }
+
+  /**
+   * Check every alarm against the latest reading. Stale data starts no new glucose alarms,
+   * but doesn't clear them either: one already raised keeps alerting (or stays snoozed)
+   */
+  evaluate() {
+    const reading = this.getReading();
+    const now = this.clock.now();
+
+    // A more urgent low alarm supersedes the ones after it
+    let lowTriggered = false;
+
+    Object.keys(ALARM_TYPES).forEach((type) => {
+      const alarmType = ALARM_TYPES[type];
+      const config = this.getConfig(type);
+
+      let triggered;
+      if (reading.value === null && !alarmType.staleData) {
+        triggered = config.enabled && this.states[type].status !== 'inactive';
+      } else {
+        triggered = config.enabled &&
+          !(alarmType.isLow && lowTriggered) &&
+          alarmType.isTriggered(reading, config);
+      }
+      if (alarmType.isLow && triggered) lowTriggered = true;
+
+      this.updateAlarm(type, triggered, now, reading);
+    });
+
+    this.scheduleSignalCheck(reading);
+  }
+
+  /**
+   * No reading means no store notification - wake up when the latest one gets too old
+   */
+  scheduleSignalCheck(reading) {
+    this.clearSignalTimer();
+
+    const config = this.getConfig('signalLoss');
+    const remaining = config.threshold * 60 * 1000 - reading.age;
+    if (!config.enabled || reading.age === Infinity || remaining <= 0) return;
+
+    this.signalTimerId = this.clock.setTimeout(() => {
+      this.signalTimerId = null;
+      this.evaluate();
+    }, remaining);
+  }
+
+  clearSignalTimer() {
+    if (this.signalTimerId !== null) {
+      this.clock.clearTimeout(this.signalTimerId);
+      this.signalTimerId = null;
+    }
+  }
+
+  updateAlarm(type, triggered, now, reading) {
+    const state = this.states[type];
+
+    if (!triggered) {
+      // Condition cleared: forget the snooze so the next episode alerts at once
+      if (state.status !== 'inactive') {
+        this.clearTimer(type);
+        Object.assign(state, { status: 'inactive', since: null, snoozedUntil: null });
+        this.notify(type, 'clear', reading);
+      }
+      return;
+    }
+
+    if (state.status === 'inactive' || (state.status === 'snoozed' && now >= state.snoozedUntil)) {
+      this.alert(type, now, reading);
+    }
+  }
+
+  /**
+   * Raise (or repeat) an alarm and schedule the next repeat
+   */
+  alert(type, now, reading) {
+    const state = this.states[type];
+    if (state.status !== 'alerting') state.since = now;
+    state.status = 'alerting';
+    state.snoozedUntil = null;
+
+    this.clearTimer(type);
+    state.timerId = this.clock.setTimeout(() => {
+      state.timerId = null;
+      if (state.status === 'alerting') this.alert(type, this.clock.now(), this.getReading());
+    }, this.getConfig(type).repeat * 60 * 1000);
+
+    this.notify(type, 'alert', reading);
+  }
+
+  /**
+   * User acknowledged an alarm: silence it for its snooze duration
+   */
+  acknowledge(type) {
+    const state = this.states[type];
+    if (!state || state.status !== 'alerting') return;
+
+    const snooze = this.getConfig(type).snooze * 60 * 1000;
+    state.status = 'snoozed';
+    state.snoozedUntil = this.clock.now() + snooze;
+
+    // Re-check when the snooze ends (alerts again if the condition is still there)
+    this.clearTimer(type);
+    state.timerId = this.clock.setTimeout(() => {
+      state.timerId = null;
+      // The snooze is over even if the timer fired a hair early (accelerated clock)
+      state.snoozedUntil = Math.min(state.snoozedUntil, this.clock.now());
+      this.evaluate();
+    }, snooze);
+
+    this.notify(type, 'acknowledge', this.getReading());
+  }
+
+  /**
+   * Most urgent alarm currently alerting (null when none)
+   */
+  getActiveAlarm() {
+    const type = Object.keys(ALARM_TYPES).find(key => this.states[key].status === 'alerting');
+    return type ? this.describe(type, this.getReading()) : null;
+  }
+
+  getState(type) {
+    return this.states[type];
+  }
+
+  /**
+   * Latest value, rate and the forecast's first point below dangerLow (null when stale),
+   * with the latest reading's age and timestamp
+   */
+  getReading() {
+    const latest = this.store.getLatestReading();
+    const age = this.store.getAge();
+    const timestamp = latest ? latest.timestamp : null;
+
+    if (this.store.isStale()) {
+      return { value: null, rate: null, forecast: [], forecastLow: null, age, timestamp };
+    }
+
+    const readings = this.store.getReadings();
+    const value = this.store.getCurrentValue();
+    const forecast = this.getForecast(readings);
+
+    // Only a low that hasn't happened yet is "soon"
+    const dangerLow = getTargetRange().dangerLow;
+    const forecastLow = value !== null && value > dangerLow
+      ? findForecastLow(forecast, dangerLow)
+      : null;
+
+    return {
+      value,
+      rate: calculateTrend(readings).rate,
+      forecast,
+      forecastLow,
+      age,
+      timestamp
+    };
+  }
+
+  /**
+   * Projection over the urgent-low-soon horizon
+   */
+  getForecast(readings) {
+    const entries = this.journal ? this.journal.getEntries() : [];
+    return forecastGlucose(readings, entries, { horizon: this.getConfig('urgentLowSoon').horizon * 60 * 1000 });
+  }
+
+  /**
+   * Alarm as passed to listeners: { type, label, value, rate, forecastLow, timestamp, since }
+   */
+  describe(type, reading) {
+    const label = ALARM_TYPES[type].label;
+    return {
+      type,
+      label: typeof label === 'function' ? label(reading) : label,
+      value: reading.value,
+      rate: reading.rate,
+      forecastLow: reading.forecastLow,
+      timestamp: reading.timestamp, // Latest reading
+      since: this.states[type].since
+    };
+  }
+
+  clearTimer(type) {
+    const state = this.states[type];
+    if (state.timerId !== null) {
+      this.clock.clearTimeout(state.timerId);
+      state.timerId = null;
+    }
+  }
+
+  /**
+   * Subscribe to alarm events - listener receives (alarm, event) with event
+   * 'alert' (raised or repeated), 'acknowledge' or 'clear'. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(type, event, reading) {
+    const alarm = this.describe(type, reading);
+    this.listeners.forEach(listener => listener(alarm, event));
+  }
+}
+
+// Export for use in app.js
+window.AlarmEngine = AlarmEngine;
+window.ALARM_TYPES = ALARM_TYPES;
+window.DEFAULT_ALARMS = DEFAULT_ALARMS;
@@ -0,0 +1,147 @@
+/**
+ * Assistant Engine
+ * Offline assistant: answers a fixed set of questions from the glucose store, the journal
+ * and the sensor session. Questions come as an intent key (assistant page chips) or as free
+ * text matched against each intent's keywords; answers are short enough for the curved text.
+ */
+
+// Lunch is the meal logged in this window; without one, glucose at the fallback hour
+const ASSISTANT_LUNCH = { from: 11, to: 15, fallbackHour: 13 };
+
+// Intents in matching order - lunch first, so "glucose at lunch" isn't read as "am I in range"
+const ASSISTANT_INTENTS = [
+  { key: 'lunch', label: 'Šećer za ručak', patterns: [/ručak|ručk|lunch/i] },
+  { key: 'insulinToday', label: 'Inzulin danas', patterns: [/inzulin|insulin|jedinic|units/i] },
+  { key: 'sensorExpiry', label: 'Kad ističe senzor', patterns: [/senzor|sensor/i] },
+  { key: 'inRange', label: 'Jesam li u rasponu', patterns: [/raspon|range|dobro|šećer|glukoz|glucose/i] }
+];
+
+const ASSISTANT_FALLBACK = 'Pitaj me za ručak, inzulin, raspon ili senzor';
+
+class AssistantEngine {
+  /**
+   * @param {Object} options - { store, journal, sensorSession, clock, settings }
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.journal = options.journal;
+    this.sensorSession = options.sensorSession || null;
+    this.clock = options.clock || window.sweetieClock;
+    this.settings = options.settings || window.sweetieSettings;
+  }
+
+  /**
+   * Intent for a question - an intent key or free text (null when nothing matches)
+   */
+  match(question) {
+    const text = String(question || '').trim();
+    return ASSISTANT_INTENTS.find(intent => intent.key === text) ||
+      ASSISTANT_INTENTS.find(intent => intent.patterns.some(pattern => pattern.test(text))) ||
+      null;
+  }
+
+  /**
+   * Answer a question
+   * @returns {Object} { intent, text } - intent key, or null with the fallback text
+   */
+  ask(question, now = this.clock.now()) {
+    const intent = this.match(question);
+    if (!intent) return { intent: null, text: ASSISTANT_FALLBACK };
+
+    switch (intent.key) {
+      case 'lunch':
+        return { intent: intent.key, text: this.answerLunch(now) };
+      case 'insulinToday':
+        return { intent: intent.key, text: this.answerInsulinToday(now) };
+      case 'sensorExpiry':
+        return { intent: intent.key, text: this.answerSensorExpiry(now) };
+      default:
+        return { intent: intent.key, text: this.answerInRange(now) };
+    }
+  }
+
+  /**
+   * "Za ručak u 12:40 bio je 7,2 mmol/L"
+   */
+  answerLunch(now) {
+    const lunchFrom = this.getTodayAt(ASSISTANT_LUNCH.from, now);
+    const lunchTo = this.getTodayAt(ASSISTANT_LUNCH.to, now);
+    const meals = this.journal.getEntries({ type: 'meal', from: lunchFrom, to: Math.min(lunchTo, now) });
+    const lunch = meals[meals.length - 1];
+
+    const timestamp = lunch ? lunch.timestamp : this.getTodayAt(ASSISTANT_LUNCH.fallbackHour, now);
+    if (timestamp > now) return 'Ručak još nije bio';
+
+    // Only a reading near lunch counts - not one bridged across a signal gap
+    const glucose = getGlucoseNearTime(this.store.getReadings(), timestamp);
+    if (glucose === null) return 'Nema očitanja iz vremena ručka';
+
+    const time = formatClockTime(timestamp);
+    return lunch
+      ? `Za ručak u ${time} bio je ${this.formatValue(glucose)}`
+      : `U ${time} bio je ${this.formatValue(glucose)}`;
+  }
+
+  /**
+   * "Danas 12 j. brzog i 20 j. dnevnog"
+   */
+  answerInsulinToday(now) {
+    const midnight = this.getTodayAt(0, now);
+    const total = type => this.journal.getEntries({ type, from: midnight, to: now })
+      .reduce((sum, entry) => sum + entry.amount, 0);
+
+    const parts = [['brzi', 'brzog'], ['dnevni', 'dnevnog']]
+      .map(([type, label]) => [Math.round(total(type) * 10) / 10, label])
+      .filter(([units]) => units > 0)
+      .map(([units, label]) => `${String(units).replace('.', ',')} j. ${label}`);
+
+    return parts.length ? `Danas ${parts.join(' i ')}` : 'Danas još nema inzulina';
+  }
+
+  /**
+   * "Da, 6,5 mmol/L · danas 82 % u rasponu"
+   */
+  answerInRange(now) {
+    const glucose = this.store.getCurrentValue();
+    if (glucose === null || this.store.isStale(now)) return 'Nema svježeg očitanja';
+
+    const zone = getGlucoseZone(glucose);
+    const value = this.formatValue(glucose);
+    let text;
+    if (zone === 'safe') text = `Da, ${value}`;
+    else if (zone.endsWith('low')) text = `Ne, nisko ${value}`;
+    else text = `Ne, visoko ${value}`;
+
+    const today = this.store.getReadings(this.getTodayAt(0, now), now);
+    if (today.length) {
+      const inRange = today.filter(reading => getGlucoseZone(reading.value) === 'safe').length;
+      text += ` · danas ${Math.round(inRange / today.length * 100)} % u rasponu`;
+    }
+    return text;
+  }
+
+  /**
+   * "Senzor ističe pet 14:30, za 2 d 4 h"
+   */
+  answerSensorExpiry(now) {
+    const status = this.sensorSession ? this.sensorSession.getStatus(now) : null;
+    if (!status || status.state === 'none') return 'Nema aktivnog senzora';
+
+    const expiresAt = formatSensorDate(status.session.expiresAt);
+    if (status.state === 'expired') return `Senzor je istekao ${expiresAt}`;
+    return `Senzor ističe ${expiresAt}, za ${formatSensorRemaining(status.remaining)}`;
+  }
+
+  getTodayAt(hour, now) {
+    return new Date(now).setHours(hour, 0, 0, 0);
+  }
+
+  formatValue(glucose) {
+    const unit = this.settings.get('glucoseUnit');
+    return `${formatGlucose(glucose, unit)} ${getGlucoseUnitLabel(unit)}`;
+  }
+}
+
+// Export for use in app.js
+window.AssistantEngine = AssistantEngine;
+window.ASSISTANT_INTENTS = ASSISTANT_INTENTS;
@@ -0,0 +1,277 @@
+/**
+ * Assistant Providers
+ * Backends for the assistant page behind one interface, so the rule-based engine, a local
+ * mock and a language model server are interchangeable (settings 'assistantProvider'):
+ *
+ *   provider.send(messages, context, { onToken, signal }) → Promise<string>
+ *
+ * - messages: the conversation, [{ role: 'user' | 'assistant', content }], newest last
+ * - context: snapshot from buildAssistantContext() (glucose, trend, IOB, recent entries)
+ * - onToken(token): called with each piece of the reply as it streams in
+ * - signal: AbortSignal - a new question cancels the one still answering
+ * Resolves with the full reply; rejects when the backend fails or the request is aborted.
+ *
+ * HTTP wire format: POST { messages, context } as JSON; the reply streams back as
+ * newline-delimited JSON - { "token": "..." } lines, then { "done": true } or { "error": "..." }.
+ * tools/assistant-server.js is a local stand-in that speaks it.
+ */
+
+const ASSISTANT_RECENT_WINDOW = 6 * 60 * 60 * 1000; // Entries from the last 6 hours...
+const ASSISTANT_RECENT_LIMIT = 10;                   // ...at most this many, newest first
+
+const TREND_DIRECTIONS = {
+  0: 'risingFast',
+  45: 'rising',
+  90: 'stable',
+  135: 'falling',
+  180: 'fallingFast'
+};
+
+const TREND_DIRECTION_LABELS = {
+  risingFast: 'brzo raste',
+  rising: 'raste',
+  stable: 'stabilno',
+  falling: 'pada',
+  fallingFast: 'brzo pada'
+};
+
+/**
+ * Structured snapshot sent with every question
+ * @param {Object} options - { store, journal, settings, now }
+ * @returns {Object} { time, unit, unitLabel, glucose, trend, iob, targetRange, recentEntries } -
+ * glucose values in mmol/L (display strings in the user's unit); glucose is null without data
+ */
+function buildAssistantContext(options) {
+  const { store, journal, settings } = options;
+  const now = options.now !== undefined ? options.now : window.sweetieClock.now();
+  const unit = settings.get('glucoseUnit');
+
+  const latest = store.getLatestReading();
+  const glucose = latest ? {
+    value: Math.round(latest.value * 10) / 10,
+    display: formatGlucose(latest.value, unit),
+    age: Math.round(store.getAge(now) / 60000),
+    stale: store.isStale(now)
+  } : null;
+
+  const { angle, rate } = calculateTrend(store.getReadings(-Infinity, now), now);
+  const trend = angle !== null ? {
+    direction: TREND_DIRECTIONS[angle],
+    rate: Math.round(rate * 100) / 100 // mmol/L per minute
+  } : null;
+
+  const range = getTargetRange();
+  const recentEntries = journal.getEntries({ from: now - ASSISTANT_RECENT_WINDOW, to: now })
+    .slice(-ASSISTANT_RECENT_LIMIT)
+    .reverse()
+    .map(entry => ({
+      type: entry.type,
+      amount: entry.amount,
+      label: getTreatmentLabel(entry),
+      minutesAgo: Math.round((now - entry.timestamp) / 60000)
+    }));
+
+  return {
+    time: new Date(now).toISOString(),
+    unit,
+    unitLabel: getGlucoseUnitLabel(unit),
+    glucose,
+    trend,
+    iob: Math.round(calculateIob(journal.getEntries(), now) * 10) / 10,
+    targetRange: { low: range.warningLow, high: range.warningHigh },
+    recentEntries
+  };
+}
+
+/**
+ * Latest user message in a conversation ('' when there is none)
+ */
+function getLastQuestion(messages) {
+  const last = [...messages].reverse().find(message => message.role === 'user');
+  return last ? last.content : '';
+}
+
+/**
+ * The rule-based engine behind the provider interface - answers in one token
+ */
+class OfflineAssistantProvider {
+  /**
+   * @param {Object} options - { engine }
+   */
+  constructor(options) {
+    this.name = 'offline';
+    this.engine = options.engine;
+  }
+
+  send(messages, context, handlers = {}) {
+    if (handlers.signal && handlers.signal.aborted) {
+      return Promise.reject(new Error('Assistant request aborted'));
+    }
+
+    const text = this.engine.ask(getLastQuestion(messages)).text;
+    if (handlers.onToken) handlers.onToken(text);
+    return Promise.resolve(text);
+  }
+}
+
+/**
+ * Deterministic stand-in for a language model: the reply depends only on the question and
+ * the context, streamed word by word - for developing the streaming UI without a server
+ */
+class MockAssistantProvider {
+  /**
+   * @param {Object} options - { tokenDelay } ms between words (0 streams without waiting)
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.tokenDelay = options.tokenDelay !== undefined ? options.tokenDelay : 40;
+  }
+
+  /**
+   * Reply for a question and context (same input, same reply)
+   */
+  reply(messages, context) {
+    if (!getLastQuestion(messages)) return 'Pitaj me nešto';
+    if (!context.glucose) return 'Nema očitanja glukoze';
+
+    const parts = [`Glukoza ${context.glucose.display}`];
+    if (context.trend) parts[0] += `, ${TREND_DIRECTION_LABELS[context.trend.direction]}`;
+    if (context.iob > 0) parts.push(`IOB ${formatInsulin(context.iob)}`);
+    if (context.recentEntries.length) {
+      const entry = context.recentEntries[0];
+      parts.push(`${entry.label} prije ${entry.minutesAgo} min`);
+    }
+    return parts.join(' · ');
+  }
+
+  send(messages, context, handlers = {}) {
+    const { onToken, signal } = handlers;
+    const text = this.reply(messages, context);
+    const tokens = text.match(/\S+\s*/g) || [];
+
+    return new Promise((resolve, reject) => {
+      let index = 0;
+
+      const next = () => {
+        if (signal && signal.aborted) {
+          reject(new Error('Assistant request aborted'));
+          return;
+        }
+        if (index >= tokens.length) {
+          resolve(text);
+          return;
+        }
+
+        if (onToken) onToken(tokens[index]);
+        index++;
+        if (this.tokenDelay > 0) setTimeout(next, this.tokenDelay);
+        else next();
+      };
+
+      next();
+    });
+  }
+}
+
+/**
+ * Language model server at a configurable endpoint (settings 'assistantEndpoint')
+ */
+class HttpAssistantProvider {
+  /**
+   * @param {Object} options - { endpoint, fetch }
+   */
+  constructor(options) {
+    this.name = 'http';
+    this.endpoint = options.endpoint;
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+  }
+
+  async send(messages, context, handlers = {}) {
+    const { onToken, signal } = handlers;
+
+    const response = await this.fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson' },
+      body: JSON.stringify({ messages, context }),
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`Assistant endpoint returned ${response.status}`);
+    }
+
+    let text = '';
+    let finished = false; // { "done": true } arrived - anything else is a cut-off reply
+    const handleLine = (line) => {
+      if (!line.trim() || finished) return;
+
+      const message = JSON.parse(line);
+      if (message.error) throw new Error(`Assistant endpoint: ${message.error}`);
+      if (message.done) {
+        finished = true;
+        return;
+      }
+      if (typeof message.token === 'string') {
+        text += message.token;
+        if (onToken) onToken(message.token);
+      }
+    };
+    const checkFinished = () => {
+      if (!finished) throw new Error('Assistant endpoint: reply ended before "done"');
+      return text;
+    };
+
+    // Without a readable body stream the whole reply arrives at once
+    if (!response.body || !response.body.getReader) {
+      (await response.text()).split('\n').forEach(handleLine);
+      return checkFinished();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(handleLine);
+
+        if (done) break;
+      }
+      handleLine(buffered);
+    } catch (error) {
+      // Bad line or endpoint error - stop downloading the rest
+      reader.cancel().catch(() => {});
+      throw error;
+    }
+    return checkFinished();
+  }
+}
+
+/**
+ * Provider for a settings value ('offline', 'mock' or 'http'); unknown names fall back to offline
+ * @param {Object} options - { engine, endpoint, tokenDelay, fetch }
+ */
+function createAssistantProvider(name, options) {
+  switch (name) {
+    case 'mock':
+      return new MockAssistantProvider(options);
+    case 'http':
+      return new HttpAssistantProvider(options);
+    case 'offline':
+      return new OfflineAssistantProvider(options);
+    default:
+      console.warn(`Assistant: unknown provider "${name}", using offline`);
+      return new OfflineAssistantProvider(options);
+  }
+}
+
+// Export for use in app.js
+window.buildAssistantContext = buildAssistantContext;
+window.OfflineAssistantProvider = OfflineAssistantProvider;
+window.MockAssistantProvider = MockAssistantProvider;
+window.HttpAssistantProvider = HttpAssistantProvider;
+window.createAssistantProvider = createAssistantProvider;
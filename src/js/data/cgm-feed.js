@@ -0,0 +1,244 @@
+/**
+ * CGM Feed
+ * Pluggable continuous glucose monitor sources.
+ * A source pushes batches of readings ({ value (mmol/L), timestamp }) to its listeners;
+ * SimulatedCgmSource is the deterministic stand-in used by the prototype.
+ */
+
+const CGM_READING_INTERVAL = 5 * 60 * 1000; // Sensors report every 5 minutes
+
+/**
+ * Base source - real sensor bridges implement start() / stop() and call emit()
+ */
+class CgmSource {
+  constructor() {
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to readings. Listener receives an array (backfill) or a single-item array (live).
+   * Returns an unsubscribe function.
+   */
+  onReadings(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  emit(readings) {
+    this.listeners.forEach(listener => listener(readings));
+  }
+
+  start() {
+    throw new Error('CgmSource.start() not implemented');
+  }
+
+  stop() {}
+
+  /**
+   * Let the source know about a logged treatment (only simulators care)
+   */
+  addTreatment() {}
+
+  /**
+   * Forget a treatment that was edited or deleted (only simulators care)
+   */
+  removeTreatment() {}
+
+  /**
+   * How long (ms) a treatment of this type keeps moving the readings - 0 for sources
+   * that don't react to treatments
+   */
+  getTreatmentWindow() {
+    return 0;
+  }
+}
+
+/**
+ * Seedable pseudo-random generator (mulberry32) so demos can be replayed
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Treatment effect profiles: total glucose change per unit and time to peak action
+ */
+const TREATMENT_EFFECTS = {
+  brzi: { perUnit: -2.0, peak: 75 * 60 * 1000 },     // Rapid insulin: ~2 mmol/L per unit
+  dnevni: { perUnit: -0.15, peak: 6 * 60 * 60 * 1000 }, // Basal: slow and mostly offsets liver output
+  med: { perUnit: 0.8, peak: 15 * 60 * 1000 },       // Spoon of honey: fast-acting sugar
+  meal: { perUnit: 0.2, peak: 45 * 60 * 1000 },       // Per gram of carbohydrate
+  activity: { perUnit: -0.05, peak: 60 * 60 * 1000 }  // Per minute at moderate effort
+};
+
+// An effect is over after this many times its time to peak (over 99% absorbed)
+const TREATMENT_EFFECT_PEAKS = 7;
+
+/**
+ * Simulated sensor: mean-reverting drift with momentum, noise and treatment effects
+ */
+class SimulatedCgmSource extends CgmSource {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      seed: options.seed !== undefined ? options.seed : 1,
+      interval: options.interval || CGM_READING_INTERVAL,
+      backfill: options.backfill || 6 * 60 * 60 * 1000, // History generated on start
+      baseline: options.baseline || 6.5,                 // Value the body drifts back to
+      minValue: 2.2,
+      maxValue: 22.0,
+      ...options
+    };
+
+    this.clock = options.clock || window.sweetieClock;
+    this.random = createSeededRandom(this.options.seed);
+
+    // Model state
+    this.value = null;
+    this.velocity = 0;        // mmol/L per reading interval
+    this.lastTimestamp = null;
+    this.treatments = [];     // { id, effect, amount, timestamp }
+
+    this.timerId = null;
+  }
+
+  /**
+   * Generate backfill history and start emitting live readings
+   */
+  start() {
+    if (this.timerId) return;
+
+    const now = this.clock.now();
+    const steps = Math.floor(this.options.backfill / this.options.interval);
+
+    // Random but plausible starting point for the backfill
+    this.value = this.options.baseline + (this.random() - 0.5) * 5;
+    this.lastTimestamp = now - steps * this.options.interval;
+
+    const history = [this.createReading()];
+    for (let i = 0; i < steps; i++) {
+      history.push(this.step());
+    }
+    this.emit(history);
+
+    this.scheduleNext();
+  }
+
+  stop() {
+    if (this.timerId) {
+      this.clock.clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  scheduleNext() {
+    const delay = Math.max(0, this.lastTimestamp + this.options.interval - this.clock.now());
+    this.timerId = this.clock.setTimeout(() => {
+      this.emit([this.step()]);
+      this.scheduleNext();
+    }, delay);
+  }
+
+  /**
+   * Register a treatment so future readings react to it
+   * @param {Object} treatment - { id, type: 'brzi' | 'dnevni' | 'med' | 'meal' | 'activity', amount, details, timestamp }
+   */
+  addTreatment(treatment) {
+    const effect = TREATMENT_EFFECTS[treatment.type];
+    if (!effect) return;
+
+    // Activity minutes count more (or less) depending on kind and intensity
+    const effort = treatment.type === 'activity' ? getActivityEffort(treatment.details) : 1;
+
+    this.treatments.push({
+      id: treatment.id,
+      effect,
+      amount: treatment.amount * effort,
+      timestamp: treatment.timestamp || this.clock.now()
+    });
+  }
+
+  /**
+   * Stop reacting to a treatment (edited entries are removed and added again)
+   */
+  removeTreatment(id) {
+    this.treatments = this.treatments.filter(treatment => treatment.id !== id);
+  }
+
+  /**
+   * Counted from the start of the backfill, so the history generated on start shows
+   * treatments that were already over by now
+   */
+  getTreatmentWindow(type) {
+    const effect = TREATMENT_EFFECTS[type];
+    return effect ? this.options.backfill + effect.peak * TREATMENT_EFFECT_PEAKS : 0;
+  }
+
+  /**
+   * Advance the model by one reading interval and return the new reading
+   */
+  step() {
+    const from = this.lastTimestamp;
+    const to = from + this.options.interval;
+
+    // Momentum + pull back to baseline + small gaussian-ish noise
+    const noise = (this.random() + this.random() + this.random() - 1.5) * 0.12;
+    this.velocity = this.velocity * 0.85 + (this.options.baseline - this.value) * 0.02 + noise;
+
+    // Physiological limit: ~0.2 mmol/L per minute
+    const maxStep = 1.0;
+    this.velocity = Math.max(-maxStep, Math.min(maxStep, this.velocity));
+
+    const treatmentDelta = this.getTreatmentDelta(from, to);
+
+    this.value = Math.max(this.options.minValue,
+      Math.min(this.options.maxValue, this.value + this.velocity + treatmentDelta));
+    this.lastTimestamp = to;
+
+    return this.createReading();
+  }
+
+  /**
+   * Combined glucose change from all treatments between two timestamps
+   */
+  getTreatmentDelta(from, to) {
+    let delta = 0;
+    this.treatments.forEach(({ effect, amount, timestamp }) => {
+      const absorbed = this.getAbsorbedFraction(to - timestamp, effect.peak) -
+        this.getAbsorbedFraction(from - timestamp, effect.peak);
+      delta += effect.perUnit * amount * absorbed;
+    });
+    return delta;
+  }
+
+  /**
+   * Cumulative absorption for an action curve peaking at `peak` ms (0..1)
+   */
+  getAbsorbedFraction(elapsed, peak) {
+    if (elapsed <= 0) return 0;
+    const t = elapsed / peak;
+    return 1 - (1 + t) * Math.exp(-t);
+  }
+
+  createReading() {
+    return {
+      value: Math.round(this.value * 10) / 10,
+      timestamp: this.lastTimestamp
+    };
+  }
+}
+
+// Export for use in app.js
+window.CgmSource = CgmSource;
+window.SimulatedCgmSource = SimulatedCgmSource;
+window.createSeededRandom = createSeededRandom;
@@ -0,0 +1,202 @@
+/**
+ * Glucose Store
+ * Single in-memory source of truth for glucose readings, current value and trend.
+ * The blob, graph and nav-circle text subscribe here instead of reading each other's DOM.
+ */
+
+class GlucoseStore {
+  constructor(options = {}) {
+    // Configuration
+    this.options = {
+      staleAfter: options.staleAfter || 15 * 60 * 1000,   // Reading counts as stale after 15 min
+      historyLength: options.historyLength || 24 * 60 * 60 * 1000, // Keep 24 h of readings
+      ...options
+    };
+
+    // Time source (app clock in accelerated demos)
+    this.now = options.now || (() => Date.now());
+
+    // Derives trend from readings (e.g. calculateTrend); without it trend is set manually
+    this.trendCalculator = options.trendCalculator || null;
+
+    // State
+    this.readings = []; // { value (mmol/L), timestamp (ms) }, oldest first
+    this.trend = options.initialTrend !== undefined ? options.initialTrend : null;
+    this.wasStale = false; // Stale state last sent to subscribers
+
+    // Subscribers
+    this.listeners = [];
+  }
+
+  /**
+   * Add a new timestamped reading (mmol/L)
+   */
+  addReading(value, timestamp = this.now()) {
+    const reading = this.insertReading(value, timestamp);
+    this.pruneHistory(this.now());
+    this.recalculateTrend();
+    this.notify('reading');
+    return reading;
+  }
+
+  /**
+   * Add a batch of readings ({ value, timestamp }) with a single notification (e.g. backfill)
+   */
+  addReadings(readings) {
+    if (!readings.length) return;
+    readings.forEach(r => this.insertReading(r.value, r.timestamp));
+    this.pruneHistory(this.now());
+    this.recalculateTrend();
+    this.notify('reading');
+  }
+
+  /**
+   * Insert keeping readings sorted - most sources append, but backfills may arrive out of order
+   */
+  insertReading(value, timestamp) {
+    const reading = { value, timestamp };
+    const last = this.readings[this.readings.length - 1];
+
+    if (!last || timestamp >= last.timestamp) {
+      this.readings.push(reading);
+    } else {
+      const index = this.readings.findIndex(r => r.timestamp > timestamp);
+      this.readings.splice(index, 0, reading);
+    }
+
+    return reading;
+  }
+
+  /**
+   * Overwrite the latest value without adding a reading (live preview, e.g. debug slider)
+   */
+  setCurrentValue(value) {
+    const last = this.readings[this.readings.length - 1];
+    if (!last) {
+      this.addReading(value);
+      return;
+    }
+
+    last.value = value;
+    this.recalculateTrend();
+    this.notify('value');
+  }
+
+  /**
+   * Re-derive trend from readings (null = not enough data)
+   */
+  recalculateTrend() {
+    if (!this.trendCalculator) return;
+    this.trend = this.trendCalculator(this.readings).angle;
+  }
+
+  /**
+   * Set trend angle (0, 45, 90, 135, 180) or null when unknown
+   */
+  setTrend(angle) {
+    if (angle === this.trend) return;
+    this.trend = angle;
+    this.notify('trend');
+  }
+
+  /**
+   * Drop readings older than the configured history length
+   */
+  pruneHistory(now) {
+    const cutoff = now - this.options.historyLength;
+    while (this.readings.length > 1 && this.readings[0].timestamp < cutoff) {
+      this.readings.shift();
+    }
+  }
+
+  /**
+   * Latest reading or null
+   */
+  getLatestReading() {
+    return this.readings[this.readings.length - 1] || null;
+  }
+
+  /**
+   * Current glucose value (mmol/L) or null when there is no data
+   */
+  getCurrentValue() {
+    const latest = this.getLatestReading();
+    return latest ? latest.value : null;
+  }
+
+  getTrend() {
+    return this.trend;
+  }
+
+  /**
+   * Readings within [from, to], oldest first
+   */
+  getReadings(from = -Infinity, to = Infinity) {
+    return this.readings.filter(r => r.timestamp >= from && r.timestamp <= to);
+  }
+
+  /**
+   * Age of the latest reading in ms (Infinity when there is no data)
+   */
+  getAge(now = this.now()) {
+    const latest = this.getLatestReading();
+    return latest ? Math.max(0, now - latest.timestamp) : Infinity;
+  }
+
+  isStale(now = this.now()) {
+    return this.getAge(now) > this.options.staleAfter;
+  }
+
+  /**
+   * Change the stale threshold (ms) - subscribers hear about it if that flips the state
+   */
+  setStaleAfter(staleAfter) {
+    this.options.staleAfter = staleAfter;
+    this.checkStale();
+  }
+
+  /**
+   * Readings only go stale as time passes, so the app calls this on its clock tick
+   */
+  checkStale(now = this.now()) {
+    if (this.isStale(now) !== this.wasStale) {
+      this.notify('stale');
+    }
+  }
+
+  /**
+   * Snapshot of the current state passed to subscribers
+   */
+  getState(now = this.now()) {
+    const latest = this.getLatestReading();
+    return {
+      value: latest ? latest.value : null,
+      timestamp: latest ? latest.timestamp : null,
+      trend: this.trend,
+      isStale: this.isStale(now),
+      readings: this.readings
+    };
+  }
+
+  /**
+   * Subscribe to changes. Listener receives (state, change) where change is
+   * 'reading' (new reading), 'value' (latest value edited), 'trend' or
+   * 'stale' (latest reading became stale, or fresh again without a new reading).
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(change) {
+    const state = this.getState();
+    this.wasStale = state.isStale;
+    this.listeners.forEach(listener => listener(state, change));
+  }
+}
+
+// Export for use in app.js
+window.GlucoseStore = GlucoseStore;
@@ -0,0 +1,216 @@
+/**
+ * Pen Inventory
+ * Insulin pens in use, one per type (brzi/dnevni): units left and the date the pen was
+ * opened. Follows the treatment journal - a dose logged on the pen is taken off it, and
+ * correcting or deleting that entry puts the difference back. A pen that is nearly empty
+ * or has been open past its in-use shelf life raises a warning once (recorded on the pen).
+ */
+
+const PEN_STORAGE_KEY = 'sweetie.pens';
+const PEN_DAY = 24 * 60 * 60 * 1000;
+
+// Doses are remembered only while their entries can still be edited (entry editor's ENTRY_MAX_AGE)
+const PEN_DOSE_WINDOW = 24 * 60 * 60 * 1000;
+
+// Standard 3 ml pen of U100 insulin; in-use shelf life after opening
+const PEN_TYPES = {
+  brzi: { label: 'brzog', capacity: 300, lowUnits: 20, shelfLifeDays: 28 },
+  dnevni: { label: 'dnevnog', capacity: 300, lowUnits: 30, shelfLifeDays: 28 }
+};
+
+// Warnings, most urgent first
+const PEN_WARNINGS = {
+  empty: { title: type => `Olovka ${PEN_TYPES[type].label} je prazna` },
+  expired: { title: type => `Olovka ${PEN_TYPES[type].label} je istekla` },
+  low: { title: type => `Olovka ${PEN_TYPES[type].label} skoro prazna` }
+};
+
+class PenInventory {
+  /**
+   * @param {Object} options - { clock, journal }
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || window.sweetieClock;
+    this.pens = this.load(); // type → { units, capacity, openedAt, warned: [], doses: { entry id → { units, timestamp } } }
+    this.listeners = [];
+
+    // Entries already in the journal at load were counted when they were logged
+    if (options.journal) {
+      options.journal.subscribe((entry, change) => {
+        if (change !== 'load') this.applyEntry(entry, change);
+      });
+    }
+  }
+
+  /**
+   * Read saved pens (empty object when storage is unavailable or corrupt)
+   */
+  load() {
+    try {
+      const raw = window.localStorage.getItem(PEN_STORAGE_KEY);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.warn('Pens: could not load saved pens', error);
+      return {};
+    }
+  }
+
+  save() {
+    this.pruneDoses();
+    try {
+      window.localStorage.setItem(PEN_STORAGE_KEY, JSON.stringify(this.pens));
+    } catch (error) {
+      console.warn('Pens: could not save pens', error);
+    }
+  }
+
+  /**
+   * Forget doses from before the pen or too old to be edited - their entries can't change any more
+   */
+  pruneDoses(now = this.clock.now()) {
+    Object.values(this.pens).forEach(pen => {
+      if (!pen.doses) return;
+
+      const oldest = Math.max(pen.openedAt, now - PEN_DOSE_WINDOW);
+      Object.keys(pen.doses).forEach(id => {
+        if (pen.doses[id].timestamp < oldest) delete pen.doses[id];
+      });
+    });
+  }
+
+  getPen(type) {
+    return this.pens[type] || null;
+  }
+
+  /**
+   * Start a new pen (full unless units are given)
+   * @param {string} type - 'brzi' or 'dnevni'
+   * @param {Object} options - { units, openedAt }
+   */
+  openPen(type, options = {}) {
+    const penType = PEN_TYPES[type];
+    if (!penType) {
+      throw new Error(`Unknown pen type: ${type}`);
+    }
+
+    const units = options.units !== undefined ? options.units : penType.capacity;
+    if (!Number.isFinite(units) || units < 0) {
+      throw new Error('Pen needs a non-negative number of units');
+    }
+
+    this.pens[type] = {
+      units,
+      capacity: penType.capacity,
+      openedAt: options.openedAt !== undefined ? options.openedAt : this.clock.now(),
+      warned: [],
+      doses: {}
+    };
+    this.save();
+    this.notify(type, 'open');
+    this.checkWarnings(type);
+    return this.pens[type];
+  }
+
+  /**
+   * Follow a journal change: a new dose logged after the pen was opened is taken off it;
+   * an update or removal of a dose the pen took puts back the difference. Entries from
+   * before the pen (or of other types) leave it alone.
+   */
+  applyEntry(entry, change) {
+    const pen = entry ? this.pens[entry.type] : null;
+    if (!pen) return;
+
+    const doses = pen.doses || {};
+    const taken = doses[entry.id] ? doses[entry.id].units : undefined;
+    let units;
+
+    if (change === 'add') {
+      if (entry.timestamp < pen.openedAt) return;
+      units = entry.amount;
+    } else if (change === 'update' && taken !== undefined) {
+      units = entry.amount;
+    } else if (change === 'remove' && taken !== undefined) {
+      units = 0;
+    } else {
+      return;
+    }
+
+    const delta = units - (taken || 0);
+    if (units > 0) doses[entry.id] = { units, timestamp: entry.timestamp };
+    else delete doses[entry.id];
+    pen.doses = doses;
+    if (delta === 0) {
+      this.save();
+      return;
+    }
+
+    pen.units = Math.min(pen.capacity, Math.max(0, pen.units - delta));
+    // Units put back can lift the pen out of a warning - it may warn again later
+    const current = this.getStatus(entry.type).warnings;
+    pen.warned = pen.warned.filter(warning => current.includes(warning));
+    this.save();
+    this.notify(entry.type, 'use');
+    this.checkWarnings(entry.type);
+  }
+
+  /**
+   * Pen state at a moment
+   * @returns {Object} { pen, warnings, age } - warnings are PEN_WARNINGS keys, most urgent
+   * first; age in days since opening (null without a pen)
+   */
+  getStatus(type, now = this.clock.now()) {
+    const pen = this.getPen(type);
+    if (!pen) return { pen: null, warnings: [], age: null };
+
+    const penType = PEN_TYPES[type];
+    const age = (now - pen.openedAt) / PEN_DAY;
+    const warnings = [];
+
+    if (pen.units <= 0) warnings.push('empty');
+    if (age >= penType.shelfLifeDays) warnings.push('expired');
+    if (pen.units > 0 && pen.units <= penType.lowUnits) warnings.push('low');
+
+    return { pen, warnings, age };
+  }
+
+  /**
+   * Warn about problems not warned about yet - expiry comes with time, so the app
+   * also checks on its clock tick
+   */
+  checkWarnings(type, now = this.clock.now()) {
+    const pen = this.getPen(type);
+    if (!pen) return;
+
+    const fresh = this.getStatus(type, now).warnings.filter(warning => !pen.warned.includes(warning));
+    if (!fresh.length) return;
+
+    pen.warned = [...pen.warned, ...fresh];
+    this.save();
+    fresh.forEach(warning => this.notify(type, 'warning', warning));
+  }
+
+  checkAll(now = this.clock.now()) {
+    Object.keys(PEN_TYPES).forEach(type => this.checkWarnings(type, now));
+  }
+
+  /**
+   * Subscribe to changes - listener receives (type, event, warning) with event
+   * 'open', 'use' or 'warning'. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(type, event, warning = null) {
+    this.listeners.forEach(listener => listener(type, event, warning));
+  }
+}
+
+// Export for use in app.js
+window.PenInventory = PenInventory;
+window.PEN_TYPES = PEN_TYPES;
+window.PEN_DAY = PEN_DAY;
+window.PEN_WARNINGS = PEN_WARNINGS;
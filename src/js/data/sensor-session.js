@@ -0,0 +1,167 @@
+/**
+ * Sensor Session
+ * The current CGM sensor: when it was started, its rated lifetime, warm-up and expiry.
+ * A sensor change is a journal entry (type 'sensor', amount = lifetime in days), so the
+ * session survives reloads and shows on the graph like any other entry.
+ * Expiry notices (24 h and 2 h before) are recorded on the entry once shown.
+ */
+
+const SENSOR_DAY = 24 * 60 * 60 * 1000;
+
+// Notices before expiry, most urgent last
+const SENSOR_NOTICES = [
+  { key: '24h', before: 24 * 60 * 60 * 1000, title: 'Senzor ističe za 24 h' },
+  { key: '2h', before: 2 * 60 * 60 * 1000, title: 'Senzor ističe za 2 h' }
+];
+
+const SENSOR_EXPIRING_SOON = SENSOR_NOTICES[0].before; // Ring turns to the warning color
+
+class SensorSession {
+  /**
+   * @param {Object} options - { journal, clock, settings }
+   */
+  constructor(options) {
+    this.journal = options.journal;
+    this.clock = options.clock;
+    this.settings = options.settings;
+
+    this.noticeTimerId = null;
+    this.listeners = [];
+
+    // Sensor entries change the session (other entries don't)
+    this.journal.subscribe((entry, change) => {
+      if (change === 'load' || (entry && entry.type === 'sensor')) this.refresh();
+    });
+  }
+
+  /**
+   * Current session from the latest sensor entry, or null
+   * @returns {Object|null} { id, startedAt, lifetime, warmup, warmupEndsAt, expiresAt, notified }
+   */
+  getSession() {
+    const entries = this.journal.getEntries({ type: 'sensor' });
+    const entry = entries[entries.length - 1];
+    if (!entry) return null;
+
+    const lifetime = entry.amount * SENSOR_DAY;
+    const warmupMinutes = Number.isFinite(entry.details.warmup)
+      ? entry.details.warmup
+      : this.settings.get('sensorWarmup');
+
+    return {
+      id: entry.id,
+      startedAt: entry.timestamp,
+      lifetime,
+      warmup: warmupMinutes * 60 * 1000,
+      warmupEndsAt: entry.timestamp + warmupMinutes * 60 * 1000,
+      expiresAt: entry.timestamp + lifetime,
+      notified: entry.details.notified || []
+    };
+  }
+
+  /**
+   * Session state at a moment
+   * @returns {Object} { state, session, remaining, progress } - state is 'none', 'warmup',
+   * 'active', 'expiring' (under 24 h left) or 'expired'; progress is the lifetime left (1 → 0)
+   */
+  getStatus(now = this.clock.now()) {
+    const session = this.getSession();
+    if (!session) return { state: 'none', session: null, remaining: 0, progress: 0 };
+
+    const remaining = session.expiresAt - now;
+    let state = 'active';
+    if (remaining <= 0) state = 'expired';
+    else if (now < session.warmupEndsAt) state = 'warmup';
+    else if (remaining <= SENSOR_EXPIRING_SOON) state = 'expiring';
+
+    return {
+      state,
+      session,
+      remaining: Math.max(0, remaining),
+      progress: Math.max(0, Math.min(1, remaining / session.lifetime))
+    };
+  }
+
+  /**
+   * Record a sensor change
+   * @param {Object} options - { lifetime (days), warmup (minutes), timestamp }
+   * @returns {Promise<Object>} The journal entry
+   */
+  start(options = {}) {
+    const lifetime = options.lifetime || this.settings.get('sensorLifetime');
+    const warmup = options.warmup !== undefined ? options.warmup : this.settings.get('sensorWarmup');
+
+    return this.journal.add({
+      type: 'sensor',
+      amount: lifetime,
+      details: { warmup },
+      timestamp: options.timestamp
+    });
+  }
+
+  /**
+   * Show notices that came due (also while the app was closed) and schedule the next one
+   */
+  refresh() {
+    this.clearNoticeTimer();
+
+    const now = this.clock.now();
+    const session = this.getSession();
+
+    if (session && now < session.expiresAt) {
+      const pending = SENSOR_NOTICES.filter(notice => !session.notified.includes(notice.key));
+      const due = pending.filter(notice => now >= session.expiresAt - notice.before);
+
+      const next = pending.find(notice => now < session.expiresAt - notice.before);
+      if (next) {
+        this.noticeTimerId = this.clock.setTimeout(() => {
+          this.noticeTimerId = null;
+          this.refresh();
+        }, session.expiresAt - next.before - now);
+      }
+
+      // Only the most urgent of several missed notices is shown
+      if (due.length) {
+        this.recordNotified(session, due.map(notice => notice.key));
+        this.notify('notice', due[due.length - 1]);
+      }
+    }
+
+    this.notify('change');
+  }
+
+  recordNotified(session, keys) {
+    const entry = this.journal.getEntry(session.id);
+    if (!entry) return;
+
+    this.journal.update(entry.id, { details: { ...entry.details, notified: [...session.notified, ...keys] } })
+      .catch(error => console.warn('Sensor notice not recorded', error));
+  }
+
+  clearNoticeTimer() {
+    if (this.noticeTimerId !== null) {
+      this.clock.clearTimeout(this.noticeTimerId);
+      this.noticeTimerId = null;
+    }
+  }
+
+  /**
+   * Subscribe to session changes - listener receives (status, event, notice) with event
+   * 'change' or 'notice' (a SENSOR_NOTICES entry). Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(event, notice = null) {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status, event, notice));
+  }
+}
+
+// Export for use in app.js
+window.SensorSession = SensorSession;
+window.SENSOR_NOTICES = SENSOR_NOTICES;
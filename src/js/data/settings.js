@@ -0,0 +1,86 @@
+/**
+ * Settings Store
+ * User preferences persisted in localStorage (unit, target range, insulin action, bolus, ...)
+ */
+
+const SETTINGS_STORAGE_KEY = 'sweetie.settings';
+
+const DEFAULT_SETTINGS = {
+  glucoseUnit: 'mmol', // 'mmol' or 'mgdl'
+  targetRange: createTargetRange('standard'), // See utils/glucose-zones.js for presets
+  insulinCurve: 'rapid',                      // Action curve for IOB (see utils/iob.js)
+  insulinDuration: DEFAULT_INSULIN_DURATION,  // Duration of insulin action in hours
+  bolusWizard: true,                          // Suggest a rapid dose in the insulin screen
+  correctionTarget: 6.0,                      // Bolus correction target (mmol/L)
+  insulinSensitivity: 2.5,                    // mmol/L drop per unit of rapid insulin
+  carbRatio: 10,                              // Grams of carbohydrate per unit
+  maxDose: { ...DEFAULT_MAX_DOSES },          // Largest dose per insulin type (units)
+  alarms: {},                                 // Per-alarm overrides of DEFAULT_ALARMS (data/alarm-engine.js)
+  alertMode: 'normal',                        // 'normal', 'silent' or 'test' (alert patterns logged, not played)
+  staleAfter: 15,                             // Minutes before the latest reading shows as stale
+  sensorLifetime: 10,                         // Rated sensor lifetime in days
+  sensorWarmup: 30,                           // Minutes after insertion before readings start
+  assistantProvider: 'offline',               // 'offline', 'mock' or 'http' (see data/assistant-providers.js)
+  assistantEndpoint: 'http://localhost:8787/assistant' // Language model endpoint for the 'http' provider
+};
+
+class SettingsStore {
+  constructor(defaults = DEFAULT_SETTINGS) {
+    this.defaults = defaults;
+    this.values = { ...defaults, ...this.load() };
+    this.listeners = [];
+  }
+
+  /**
+   * Read saved settings (empty object when storage is unavailable or corrupt)
+   */
+  load() {
+    try {
+      const raw = window.localStorage.getItem(SETTINGS_STORAGE_KEY);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.warn('Settings: could not load saved settings', error);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.values));
+    } catch (error) {
+      console.warn('Settings: could not save settings', error);
+    }
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    if (this.values[key] === value) return;
+    this.values[key] = value;
+    this.save();
+    this.listeners.forEach(listener => listener(key, value));
+  }
+
+  /**
+   * Restore one setting to its default
+   */
+  reset(key) {
+    this.set(key, this.defaults[key]);
+  }
+
+  /**
+   * Subscribe to changes - listener receives (key, value). Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+}
+
+// Shared settings instance
+window.SettingsStore = SettingsStore;
+window.sweetieSettings = new SettingsStore();
@@ -0,0 +1,356 @@
+/**
+ * Treatment Journal
+ * Persistent log of treatments (insulin, honey, ...) - IndexedDB with a localStorage fallback.
+ * Entries: { id, type, amount, details, timestamp, source, createdAt, schemaVersion }
+ */
+
+const TREATMENT_DB_NAME = 'sweetie';
+const TREATMENT_STORE_NAME = 'treatments';
+const TREATMENT_STORAGE_KEY = 'sweetie.treatments';
+
+// Bump when the entry shape changes and add a migration below
+const TREATMENT_SCHEMA_VERSION = 2;
+
+/**
+ * Entry migrations keyed by the version they upgrade TO.
+ * Each receives an entry of the previous version and returns the upgraded entry, e.g.
+ *   2: (entry) => ({ ...entry, note: '' })
+ */
+const TREATMENT_MIGRATIONS = {
+  // v2: type-specific details (e.g. activity kind and intensity)
+  2: (entry) => ({ ...entry, details: entry.details || {} })
+};
+
+/**
+ * Upgrade an entry to the current schema version
+ */
+function migrateTreatmentEntry(entry) {
+  let migrated = entry;
+  for (let version = (entry.schemaVersion || 0) + 1; version <= TREATMENT_SCHEMA_VERSION; version++) {
+    const migration = TREATMENT_MIGRATIONS[version];
+    migrated = { ...(migration ? migration(migrated) : migrated), schemaVersion: version };
+  }
+  return migrated;
+}
+
+/**
+ * IndexedDB backend - one object store keyed by id, indexed by timestamp
+ */
+class IndexedDbJournalBackend {
+  constructor(indexedDB = window.indexedDB) {
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(TREATMENT_DB_NAME, TREATMENT_SCHEMA_VERSION);
+
+      // Object store layout per database version (entry shape is migrated separately)
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(TREATMENT_STORE_NAME, { keyPath: 'id' });
+          store.createIndex('timestamp', 'timestamp');
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Step aside when another tab upgrades the database (it would stay blocked otherwise)
+        this.db.onversionchange = () => this.db.close();
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      // Another tab still has the old version open - success follows once it closes
+      request.onblocked = () => console.warn('Treatment journal: waiting for other tabs to close the database');
+    });
+  }
+
+  transaction(mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(TREATMENT_STORE_NAME, mode);
+      const result = work(tx.objectStore(TREATMENT_STORE_NAME));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  getAll() {
+    return this.transaction('readonly', store => store.getAll());
+  }
+
+  put(entry) {
+    return this.transaction('readwrite', store => { store.put(entry); });
+  }
+
+  putAll(entries) {
+    return this.transaction('readwrite', store => { entries.forEach(entry => store.put(entry)); });
+  }
+
+  delete(id) {
+    return this.transaction('readwrite', store => { store.delete(id); });
+  }
+}
+
+/**
+ * localStorage backend - whole journal as one JSON document { version, entries }
+ */
+class LocalStorageJournalBackend {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.entries = [];
+  }
+
+  async open() {
+    try {
+      const raw = this.storage.getItem(TREATMENT_STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      this.entries = data && Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      console.warn('Treatment journal: could not read saved entries', error);
+      this.entries = [];
+    }
+  }
+
+  async getAll() {
+    return this.entries.slice();
+  }
+
+  async put(entry) {
+    this.entries = this.entries.filter(e => e.id !== entry.id).concat(entry);
+    this.save();
+  }
+
+  async putAll(entries) {
+    const ids = new Set(entries.map(e => e.id));
+    this.entries = this.entries.filter(e => !ids.has(e.id)).concat(entries);
+    this.save();
+  }
+
+  async delete(id) {
+    this.entries = this.entries.filter(e => e.id !== id);
+    this.save();
+  }
+
+  save() {
+    this.storage.setItem(TREATMENT_STORAGE_KEY, JSON.stringify({
+      version: TREATMENT_SCHEMA_VERSION,
+      entries: this.entries
+    }));
+  }
+}
+
+/**
+ * Journal - in-memory copy of all entries (oldest first) kept in sync with the backend
+ */
+class TreatmentJournal {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.backend = options.backend || null;
+    this.entries = [];
+    this.listeners = [];
+    this.ready = null;
+  }
+
+  /**
+   * Open storage and load saved entries (IndexedDB first, localStorage if that fails)
+   * Resolves to the journal; safe to call more than once.
+   */
+  open() {
+    if (!this.ready) {
+      this.ready = this.openBackend().then(() => this.load()).then(() => this);
+    }
+    return this.ready;
+  }
+
+  async openBackend() {
+    if (this.backend) {
+      await this.backend.open();
+      return;
+    }
+
+    if (window.indexedDB) {
+      try {
+        const backend = new IndexedDbJournalBackend();
+        await backend.open();
+        this.backend = backend;
+        return;
+      } catch (error) {
+        console.warn('Treatment journal: IndexedDB unavailable, using localStorage', error);
+      }
+    }
+
+    const backend = new LocalStorageJournalBackend();
+    await backend.open();
+    this.backend = backend;
+  }
+
+  /**
+   * Load entries and migrate any written by an older schema version
+   */
+  async load() {
+    const saved = await this.backend.getAll();
+    const outdated = [];
+
+    const entries = saved.map((entry) => {
+      if (entry.schemaVersion === TREATMENT_SCHEMA_VERSION) return entry;
+      const migrated = migrateTreatmentEntry(entry);
+      outdated.push(migrated);
+      return migrated;
+    });
+
+    if (outdated.length) {
+      await this.backend.putAll(outdated);
+    }
+
+    // Keep anything added while storage was opening
+    const pending = this.entries;
+    const savedIds = new Set(entries.map(e => e.id));
+    this.entries = entries.concat(pending.filter(e => !savedIds.has(e.id)));
+    this.sortEntries();
+    this.notify(null, 'load');
+  }
+
+  /**
+   * Record a treatment
+   * @param {Object} treatment - { type, amount, details?, timestamp?, source? }
+   * @returns {Promise<Object>} The stored entry
+   */
+  async add(treatment) {
+    if (!treatment.type) {
+      throw new Error('Treatment entry needs a type');
+    }
+    if (!Number.isFinite(treatment.amount) || treatment.amount <= 0) {
+      throw new Error('Treatment entry needs a positive amount');
+    }
+
+    const createdAt = this.now();
+    const entry = {
+      id: this.createId(createdAt),
+      type: treatment.type,
+      amount: treatment.amount,
+      details: treatment.details || {},
+      timestamp: treatment.timestamp !== undefined ? treatment.timestamp : createdAt,
+      source: treatment.source || 'manual',
+      createdAt,
+      schemaVersion: TREATMENT_SCHEMA_VERSION
+    };
+
+    this.entries.push(entry);
+    this.sortEntries();
+    this.notify(entry, 'add');
+
+    await this.persist(() => this.backend.put(entry));
+    return entry;
+  }
+
+  /**
+   * Correct a logged entry
+   * @param {string} id - Entry id
+   * @param {Object} changes - { amount?, timestamp?, details? }
+   * @returns {Promise<Object>} The updated entry
+   */
+  async update(id, changes) {
+    const entry = this.getEntry(id);
+    if (!entry) {
+      throw new Error(`Treatment entry not found: ${id}`);
+    }
+    if (changes.amount !== undefined && (!Number.isFinite(changes.amount) || changes.amount <= 0)) {
+      throw new Error('Treatment entry needs a positive amount');
+    }
+    if (changes.timestamp !== undefined && !Number.isFinite(changes.timestamp)) {
+      throw new Error('Treatment entry needs a valid timestamp');
+    }
+
+    const updated = {
+      ...entry,
+      amount: changes.amount !== undefined ? changes.amount : entry.amount,
+      timestamp: changes.timestamp !== undefined ? changes.timestamp : entry.timestamp,
+      details: changes.details || entry.details,
+      updatedAt: this.now()
+    };
+
+    this.entries = this.entries.map(e => (e.id === id ? updated : e));
+    this.sortEntries();
+    this.notify(updated, 'update');
+
+    await this.persist(() => this.backend.put(updated));
+    return updated;
+  }
+
+  /**
+   * Delete a logged entry
+   * @returns {Promise<Object>} The removed entry
+   */
+  async remove(id) {
+    const entry = this.getEntry(id);
+    if (!entry) {
+      throw new Error(`Treatment entry not found: ${id}`);
+    }
+
+    this.entries = this.entries.filter(e => e.id !== id);
+    this.notify(entry, 'remove');
+
+    await this.persist(() => this.backend.delete(id));
+    return entry;
+  }
+
+  /**
+   * Entries (oldest first), optionally filtered
+   * @param {Object} filter - { from, to, type }
+   */
+  getEntries(filter = {}) {
+    return this.entries.filter(entry =>
+      (filter.from === undefined || entry.timestamp >= filter.from) &&
+      (filter.to === undefined || entry.timestamp <= filter.to) &&
+      (filter.type === undefined || entry.type === filter.type));
+  }
+
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Subscribe to changes - listener receives (entry, change) with change
+   * 'load' | 'add' | 'update' | 'remove'.
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notify(entry, change) {
+    this.listeners.forEach(listener => listener(entry, change));
+  }
+
+  /**
+   * Run a backend write once storage is open - failures are logged, the in-memory entry stays
+   */
+  async persist(write) {
+    try {
+      await this.open();
+      await write();
+    } catch (error) {
+      console.warn('Treatment journal: could not save entry', error);
+    }
+  }
+
+  sortEntries() {
+    this.entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  createId(timestamp) {
+    return `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+// Export for use in app.js
+window.TreatmentJournal = TreatmentJournal;
+window.IndexedDbJournalBackend = IndexedDbJournalBackend;
+window.LocalStorageJournalBackend = LocalStorageJournalBackend;
+window.TREATMENT_SCHEMA_VERSION = TREATMENT_SCHEMA_VERSION;
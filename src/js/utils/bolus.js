@@ -0,0 +1,100 @@
+/**
+ * Bolus Calculator
+ * Suggests a rapid insulin dose from glucose, target, insulin sensitivity, carb ratio,
+ * carbs not yet covered by a bolus and insulin on board. The suggestion only
+ * pre-positions the picker - the user always confirms the dose.
+ */
+
+// Meals logged this recently without a rapid dose after them still need insulin
+const PENDING_CARBS_WINDOW = 60 * 60 * 1000;
+
+/**
+ * Dose for the given inputs (glucose values in mmol/L)
+ * @param {Object} inputs
+ * @param {number|null} inputs.glucose - Current glucose (null: no correction)
+ * @param {number} inputs.target - Correction target
+ * @param {number} inputs.isf - Insulin sensitivity factor (mmol/L per unit)
+ * @param {number} inputs.carbRatio - Grams of carbohydrate per unit
+ * @param {number} inputs.carbs - Pending carbs in grams
+ * @param {number} inputs.iob - Insulin on board in units
+ * @returns {Object} { carbDose, correction, iob, total, units } - units rounded down to whole units
+ */
+function calculateBolus(inputs) {
+  const { glucose, target, isf, carbRatio, carbs, iob } = inputs;
+
+  if (!(isf > 0) || !(carbRatio > 0)) {
+    throw new Error('Insulin sensitivity and carb ratio must be positive');
+  }
+
+  const carbDose = carbs > 0 ? carbs / carbRatio : 0;
+  const correction = glucose !== null ? (glucose - target) / isf : 0;
+
+  // Active insulin offsets the correction first, then the carb dose - never below zero
+  const total = Math.max(0, carbDose + correction - iob);
+
+  return {
+    carbDose,
+    correction,
+    iob,
+    total,
+    units: Math.floor(total) // Pen doses whole units - round down rather than overshoot
+  };
+}
+
+/**
+ * Grams from meals logged in the last hour that no rapid dose has covered yet
+ * @param {Array} entries - Journal entries
+ * @param {number} at - Timestamp to calculate for
+ */
+function getPendingCarbs(entries, at) {
+  const lastBolus = entries
+    .filter(entry => entry.type === 'brzi' && entry.timestamp <= at)
+    .reduce((latest, entry) => Math.max(latest, entry.timestamp), -Infinity);
+
+  return entries
+    .filter(entry => entry.type === 'meal' &&
+      entry.timestamp <= at &&
+      entry.timestamp > at - PENDING_CARBS_WINDOW &&
+      entry.timestamp > lastBolus)
+    .reduce((total, entry) => total + entry.amount, 0);
+}
+
+/**
+ * The user's bolus settings: { target, isf, carbRatio }
+ */
+function getBolusSettings() {
+  const settings = window.sweetieSettings;
+  return {
+    target: settings.get('correctionTarget'),
+    isf: settings.get('insulinSensitivity'),
+    carbRatio: settings.get('carbRatio')
+  };
+}
+
+/**
+ * Suggest a dose from the journal and the current glucose
+ * @param {Array} entries - Journal entries (pending carbs and IOB)
+ * @param {number|null} glucose - Current glucose in mmol/L (null when unknown or stale)
+ * @param {number} at - Current timestamp
+ * @returns {Object|null} calculateBolus() result plus its inputs, null when the settings are invalid
+ */
+function suggestBolus(entries, glucose, at) {
+  const inputs = {
+    ...getBolusSettings(),
+    glucose,
+    carbs: getPendingCarbs(entries, at),
+    iob: calculateIob(entries, at)
+  };
+
+  try {
+    return { ...inputs, ...calculateBolus(inputs) };
+  } catch (error) {
+    console.warn('Bolus settings are invalid, no suggestion', error);
+    return null;
+  }
+}
+
+// Export for the insulin input screen
+window.calculateBolus = calculateBolus;
+window.getPendingCarbs = getPendingCarbs;
+window.suggestBolus = suggestBolus;
@@ -0,0 +1,78 @@
+/**
+ * Clock
+ * App-wide time source with an accelerated mode for demos.
+ * Everything time-based (readings, timers, fuzzy labels) reads from here instead of Date.now()
+ */
+
+class Clock {
+  constructor(options = {}) {
+    this.timeScale = options.timeScale || 1;
+
+    // Virtual time = anchor + elapsed real time * scale
+    this.realAnchor = Date.now();
+    this.virtualAnchor = options.startTime || this.realAnchor;
+
+    // Pending timers (virtual due time), rescheduled when the scale changes
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  /**
+   * Current virtual time in ms
+   */
+  now() {
+    return this.virtualAnchor + (Date.now() - this.realAnchor) * this.timeScale;
+  }
+
+  /**
+   * Change how fast virtual time runs (1 = real time, 60 = one minute per second)
+   */
+  setTimeScale(scale) {
+    if (scale === this.timeScale) return;
+
+    // Re-anchor so virtual time stays continuous
+    this.virtualAnchor = this.now();
+    this.realAnchor = Date.now();
+    this.timeScale = scale;
+
+    // Reschedule pending timers with the new speed
+    this.timers.forEach((timer) => {
+      clearTimeout(timer.handle);
+      timer.handle = this.scheduleReal(timer);
+    });
+  }
+
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  /**
+   * setTimeout in virtual ms
+   */
+  setTimeout(callback, delay) {
+    const id = this.nextTimerId++;
+    const timer = { id, callback, dueTime: this.now() + delay, handle: null };
+    timer.handle = this.scheduleReal(timer);
+    this.timers.set(id, timer);
+    return id;
+  }
+
+  clearTimeout(id) {
+    const timer = this.timers.get(id);
+    if (!timer) return;
+    clearTimeout(timer.handle);
+    this.timers.delete(id);
+  }
+
+  scheduleReal(timer) {
+    const remaining = Math.max(0, timer.dueTime - this.now());
+    return setTimeout(() => {
+      this.timers.delete(timer.id);
+      timer.callback();
+    }, remaining / this.timeScale);
+  }
+}
+
+// Shared app clock
+window.Clock = Clock;
+window.sweetieClock = new Clock();
@@ -0,0 +1,49 @@
+/**
+ * Dose Guard
+ * Per-type maximum doses and duplicate-dose detection for insulin logging
+ */
+
+// Largest dose the picker allows per insulin type (user-configurable in settings)
+const DEFAULT_MAX_DOSES = {
+  brzi: 15,
+  dnevni: 40
+};
+
+// A dose of the same type logged this close in time is probably the same injection
+const DUPLICATE_DOSE_WINDOWS = {
+  brzi: 60 * 60 * 1000,      // 1 hour
+  dnevni: 12 * 60 * 60 * 1000 // 12 hours
+};
+
+/**
+ * Maximum dose for an insulin type (settings, falling back to the defaults)
+ */
+function getMaxDose(type) {
+  const maxDoses = window.sweetieSettings ? window.sweetieSettings.get('maxDose') : null;
+  const max = maxDoses ? Number(maxDoses[type]) : NaN;
+
+  if (Number.isFinite(max) && max > 0) return max;
+  return DEFAULT_MAX_DOSES[type] || Infinity;
+}
+
+/**
+ * Closest dose of the same type inside the duplicate window, or null
+ * Backdated doses can land before an entry logged later, so both sides count.
+ * @param {Array} entries - Journal entries
+ * @param {string} type - Insulin type ('brzi' or 'dnevni')
+ * @param {number} at - Timestamp of the dose about to be logged
+ */
+function findDuplicateDose(entries, type, at) {
+  const duplicateWindow = DUPLICATE_DOSE_WINDOWS[type];
+  if (!duplicateWindow) return null;
+
+  const distance = entry => Math.abs(entry.timestamp - at);
+  return entries
+    .filter(entry => entry.type === type && distance(entry) < duplicateWindow)
+    .reduce((closest, entry) => (!closest || distance(entry) < distance(closest) ? entry : closest), null);
+}
+
+// Export for settings and the insulin input screen
+window.DEFAULT_MAX_DOSES = DEFAULT_MAX_DOSES;
+window.getMaxDose = getMaxDose;
+window.findDuplicateDose = findDuplicateDose;
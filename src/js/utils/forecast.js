@@ -0,0 +1,89 @@
+/**
+ * Glucose Forecast
+ * Short-term projection (30 minutes) from the recent trend, insulin on board and meal carbs
+ * still being absorbed. The readings already show what insulin and carbs are doing right now,
+ * so their current rate is taken out of the trend; the rest fades out over the horizon while
+ * the expected insulin and carb effects are added back - enough to warn of a low before it happens.
+ */
+
+const FORECAST_HORIZON = 30 * 60 * 1000; // How far ahead the projection reaches
+const FORECAST_STEP = 5 * 60 * 1000;     // One projected point per CGM interval
+const FORECAST_CARB_ABSORPTION = 3 * 60 * 60 * 1000; // Meal carbs absorb evenly over 3 hours
+
+/**
+ * Grams of meal carbohydrate absorbed between two moments
+ */
+function getCarbsAbsorbed(entries, from, to) {
+  const fraction = (entry, at) => Math.min(1, Math.max(0, (at - entry.timestamp) / FORECAST_CARB_ABSORPTION));
+
+  return entries
+    .filter(entry => entry.type === 'meal')
+    .reduce((total, entry) => total + entry.amount * (fraction(entry, to) - fraction(entry, from)), 0);
+}
+
+/**
+ * Projected readings after the latest one
+ * @param {Array} readings - { value, timestamp }, oldest first
+ * @param {Array} entries - Journal entries (rapid insulin for IOB, meals for carbs)
+ * @param {Object} options - { horizon, isf, carbRatio, iobOptions } (defaults from settings)
+ * @returns {Array} { value, timestamp } starting at the latest reading, [] without a trend
+ */
+function forecastGlucose(readings, entries, options = {}) {
+  if (!readings.length) return [];
+
+  const latest = readings[readings.length - 1];
+  const rate = calculateTrend(readings, latest.timestamp).rate;
+  if (rate === null) return [];
+
+  const horizon = options.horizon || FORECAST_HORIZON;
+  const bolusSettings = getBolusSettings();
+  const isf = options.isf !== undefined ? options.isf : bolusSettings.isf;
+  const carbRatio = options.carbRatio !== undefined ? options.carbRatio : bolusSettings.carbRatio;
+  const iobOptions = options.iobOptions || getIobOptions();
+  const horizonMinutes = horizon / 60000;
+
+  // Glucose change expected from insulin and carbs between two moments
+  const treatmentEffect = (from, to) => {
+    const insulin = isf > 0
+      ? (calculateIob(entries, from, iobOptions) - calculateIob(entries, to, iobOptions)) * isf
+      : 0;
+    const carbs = isf > 0 && carbRatio > 0
+      ? getCarbsAbsorbed(entries, from, to) * isf / carbRatio
+      : 0;
+    return carbs - insulin;
+  };
+
+  // What the trend shows beyond the treatments (per minute) - counting them again would double them
+  const treatmentRate = treatmentEffect(latest.timestamp - FORECAST_STEP, latest.timestamp) / (FORECAST_STEP / 60000);
+  const baseRate = rate - treatmentRate;
+
+  const points = [{ value: latest.value, timestamp: latest.timestamp }];
+
+  for (let offset = FORECAST_STEP; offset <= horizon; offset += FORECAST_STEP) {
+    const minutes = offset / 60000;
+
+    // Rate decays linearly to zero at the horizon (area under the fading slope)
+    const momentum = baseRate * minutes * (1 - minutes / (2 * horizonMinutes));
+
+    points.push({
+      value: Math.max(0, latest.value + momentum + treatmentEffect(latest.timestamp, latest.timestamp + offset)),
+      timestamp: latest.timestamp + offset
+    });
+  }
+
+  return points;
+}
+
+/**
+ * First projected point at or below a threshold, or null
+ * @param {Array} forecast - forecastGlucose() result
+ * @param {number} threshold - Glucose in mmol/L
+ */
+function findForecastLow(forecast, threshold) {
+  return forecast.find(point => point.value <= threshold) || null;
+}
+
+// Export for the alarm engine and graph
+window.FORECAST_HORIZON = FORECAST_HORIZON;
+window.forecastGlucose = forecastGlucose;
+window.findForecastLow = findForecastLow;
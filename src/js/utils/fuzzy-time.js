@@ -0,0 +1,54 @@
+/**
+ * Fuzzy Time
+ * The "now / few min ago / 30 min ago / 1 h ago" vocabulary shared by the graph
+ * scrub label and the backdated entry time step
+ */
+
+/**
+ * Fuzzy time for a number of minutes in the past
+ * Returns { line1, line2 } - uses two lines only for longer text
+ */
+function getFuzzyTimeForMinutes(minutesAgo) {
+  if (minutesAgo < 1) return { line1: 'now', line2: '' };
+  if (minutesAgo < 5) return { line1: 'just now', line2: '' };
+  if (minutesAgo < 30) return { line1: 'few min', line2: 'ago' };
+  if (minutesAgo < 60) return { line1: '30 min ago', line2: '' };
+  if (minutesAgo < 120) return { line1: '1 h ago', line2: '' };
+  if (minutesAgo < 180) return { line1: '2 h ago', line2: '' };
+  if (minutesAgo < 240) return { line1: '3 h ago', line2: '' };
+  if (minutesAgo < 300) return { line1: '4 h ago', line2: '' };
+  if (minutesAgo < 360) return { line1: '5 h ago', line2: '' };
+  return { line1: '6 h ago', line2: '' };
+}
+
+/**
+ * Fuzzy time on one line ("few min ago")
+ */
+function formatFuzzyTime(minutesAgo) {
+  const fuzzyTime = getFuzzyTimeForMinutes(minutesAgo);
+  return `${fuzzyTime.line1} ${fuzzyTime.line2}`.trim();
+}
+
+/**
+ * Exact age of a reading ("12 min", "2 h")
+ */
+function formatAge(minutes) {
+  if (minutes < 60) return `${Math.floor(minutes)} min`;
+  return `${Math.floor(minutes / 60)} h`;
+}
+
+/**
+ * Clock time of a timestamp ("09:30")
+ */
+function formatClockTime(timestamp) {
+  const time = new Date(timestamp);
+  const hours = String(time.getHours()).padStart(2, '0');
+  const minutes = String(time.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+// Export for graph and input screens
+window.getFuzzyTimeForMinutes = getFuzzyTimeForMinutes;
+window.formatFuzzyTime = formatFuzzyTime;
+window.formatAge = formatAge;
+window.formatClockTime = formatClockTime;
@@ -0,0 +1,172 @@
+/**
+ * Glucose Zones
+ * Target range thresholds and zone colors - the single definition used by the blob,
+ * the graph (zone clipping, boundary lines) and the nav text.
+ * All thresholds are in mmol/L.
+ */
+
+// Zone colors
+const GLUCOSE_COLORS = {
+  SAFE: '#7ED321',
+  WARNING: '#FFD700',
+  DANGER: '#FF4444'
+};
+
+/**
+ * Target range presets
+ * - dangerLow / dangerHigh: outside these the value is out of range (red, alert)
+ * - warningLow / warningHigh: between these the value is in target (green)
+ * Anything in between is borderline (yellow, blending into red)
+ */
+const TARGET_RANGE_PRESETS = {
+  standard: {
+    label: 'Standardni',
+    dangerLow: 4.0,
+    warningLow: 4.5,
+    warningHigh: 9.0,
+    dangerHigh: 10.0
+  },
+  // Tighter targets used during pregnancy (3.5 - 7.8)
+  pregnancy: {
+    label: 'Trudnoća',
+    dangerLow: 3.5,
+    warningLow: 4.0,
+    warningHigh: 7.0,
+    dangerHigh: 7.8
+  },
+  // Young children: earlier low warning, more room above target
+  pediatric: {
+    label: 'Djeca',
+    dangerLow: 4.0,
+    warningLow: 5.0,
+    warningHigh: 10.0,
+    dangerHigh: 11.0
+  }
+};
+
+const TARGET_RANGE_KEYS = ['dangerLow', 'warningLow', 'warningHigh', 'dangerHigh'];
+
+/**
+ * Build a target range from thresholds (or a preset name)
+ * Throws when thresholds are missing or not in ascending order
+ */
+function createTargetRange(values) {
+  const source = typeof values === 'string' ? TARGET_RANGE_PRESETS[values] : values;
+  if (!source) {
+    throw new Error(`Unknown target range preset: ${values}`);
+  }
+
+  const range = {};
+  TARGET_RANGE_KEYS.forEach((key) => {
+    const value = Number(source[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Target range is missing ${key}`);
+    }
+    range[key] = value;
+  });
+
+  if (!(range.dangerLow < range.warningLow &&
+        range.warningLow < range.warningHigh &&
+        range.warningHigh < range.dangerHigh)) {
+    throw new Error('Target range thresholds must be in ascending order');
+  }
+
+  return range;
+}
+
+/**
+ * The user's current target range (from settings, standard preset as fallback)
+ */
+function getTargetRange() {
+  const saved = window.sweetieSettings && window.sweetieSettings.get('targetRange');
+  try {
+    return saved ? createTargetRange(saved) : createTargetRange('standard');
+  } catch (error) {
+    console.warn('Target range: invalid saved range, using standard', error);
+    return createTargetRange('standard');
+  }
+}
+
+/**
+ * Name of the preset matching a range ('custom' when none matches)
+ */
+function getTargetRangePresetName(range) {
+  const name = Object.keys(TARGET_RANGE_PRESETS).find(presetName =>
+    TARGET_RANGE_KEYS.every(key => TARGET_RANGE_PRESETS[presetName][key] === range[key]));
+  return name || 'custom';
+}
+
+/**
+ * Zone name for a glucose value
+ * @returns {string} 'danger-high' | 'warning-high' | 'safe' | 'warning-low' | 'danger-low'
+ */
+function getGlucoseZone(glucose, range = getTargetRange()) {
+  if (glucose > range.dangerHigh) return 'danger-high';
+  if (glucose >= range.warningHigh) return 'warning-high';
+  if (glucose > range.warningLow) return 'safe';
+  if (glucose >= range.dangerLow) return 'warning-low';
+  return 'danger-low';
+}
+
+/**
+ * Color for a glucose value with smooth transitions
+ * High: pure yellow in the lower half of the borderline band, then blends to red
+ * Low: blends yellow → red across the whole borderline band
+ */
+function getColorForGlucose(glucose, range = getTargetRange()) {
+  // Danger zones (pure red)
+  if (glucose <= range.dangerLow || glucose >= range.dangerHigh) {
+    return GLUCOSE_COLORS.DANGER;
+  }
+
+  // Safe zone (pure green)
+  if (glucose >= range.warningLow && glucose <= range.warningHigh) {
+    return GLUCOSE_COLORS.SAFE;
+  }
+
+  // High warning zone
+  if (glucose > range.warningHigh) {
+    const blendStart = (range.warningHigh + range.dangerHigh) / 2;
+    if (glucose >= blendStart) {
+      const t = (glucose - blendStart) / (range.dangerHigh - blendStart);
+      return blendColors(GLUCOSE_COLORS.WARNING, GLUCOSE_COLORS.DANGER, t);
+    }
+    return GLUCOSE_COLORS.WARNING;
+  }
+
+  // Low warning zone - blend from yellow (at warningLow) to red (at dangerLow)
+  const t = (range.warningLow - glucose) / (range.warningLow - range.dangerLow);
+  return blendColors(GLUCOSE_COLORS.WARNING, GLUCOSE_COLORS.DANGER, t);
+}
+
+/**
+ * Blend two hex colors
+ * @param {string} color1 - First hex color
+ * @param {string} color2 - Second hex color
+ * @param {number} t - Blend factor (0 = color1, 1 = color2)
+ */
+function blendColors(color1, color2, t) {
+  const r1 = parseInt(color1.slice(1, 3), 16);
+  const g1 = parseInt(color1.slice(3, 5), 16);
+  const b1 = parseInt(color1.slice(5, 7), 16);
+
+  const r2 = parseInt(color2.slice(1, 3), 16);
+  const g2 = parseInt(color2.slice(3, 5), 16);
+  const b2 = parseInt(color2.slice(5, 7), 16);
+
+  const r = Math.round(r1 + (r2 - r1) * t);
+  const g = Math.round(g1 + (g2 - g1) * t);
+  const b = Math.round(b1 + (b2 - b1) * t);
+
+  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+}
+
+// Export for blob, graph and app
+window.GLUCOSE_COLORS = GLUCOSE_COLORS;
+window.TARGET_RANGE_PRESETS = TARGET_RANGE_PRESETS;
+window.createTargetRange = createTargetRange;
+window.getTargetRange = getTargetRange;
+window.getTargetRangePresetName = getTargetRangePresetName;
+window.getGlucoseZone = getGlucoseZone;
+window.getColorForGlucose = getColorForGlucose;
+window.blendColors = blendColors;
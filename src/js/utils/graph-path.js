@@ -0,0 +1,134 @@
+/**
+ * Graph Path Builder
+ * Turns timestamped glucose readings into the smooth SVG path drawn on the glucose graph
+ */
+
+// Readings further apart than this are a signal gap - the line breaks instead of bridging it
+const GRAPH_MAX_GAP = 15 * 60 * 1000;
+
+/**
+ * Build a smooth bezier path through readings
+ * @param {Array} readings - { value, timestamp }, oldest first
+ * @param {Object} options
+ * @param {number} options.endTime - Timestamp drawn at endX ("now")
+ * @param {number} options.duration - Time span covered by the graph in ms
+ * @param {number} options.startX - X at endTime - duration
+ * @param {number} options.endX - X at endTime
+ * @param {Function} options.toY - Maps a glucose value to a Y coordinate
+ * @param {number} [options.maxGap] - Longest gap between readings drawn as one line
+ * @returns {string} SVG path data ('' when there are no readings)
+ */
+function buildGlucosePath(readings, options) {
+  const { endTime, duration, startX, endX, toY, maxGap = GRAPH_MAX_GAP } = options;
+  const startTime = endTime - duration;
+  const pxPerMs = (endX - startX) / duration;
+
+  // Keep readings in range plus one before the start so the line enters from the edge
+  const firstIndex = readings.findIndex(r => r.timestamp >= startTime);
+  if (firstIndex === -1) return '';
+
+  const visible = readings
+    .slice(Math.max(0, firstIndex - 1))
+    .filter(r => r.timestamp <= endTime);
+
+  const points = visible.map(r => ({
+    x: startX + (r.timestamp - startTime) * pxPerMs,
+    y: toY(r.value),
+    timestamp: r.timestamp
+  }));
+
+  if (points.length === 0) return '';
+
+  // Single reading: flat line up to "now"
+  if (points.length === 1) {
+    return `M${startX},${points[0].y.toFixed(1)} L${points[0].x.toFixed(1)},${points[0].y.toFixed(1)}`;
+  }
+
+  // One subpath per run of readings without a gap
+  const runs = [[points[0]]];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].timestamp - points[i - 1].timestamp > maxGap) {
+      runs.push([]);
+    }
+    runs[runs.length - 1].push(points[i]);
+  }
+
+  return runs.map(buildBezierPath).join(' ');
+}
+
+/**
+ * Smooth path through points (a lone point is a dot - the line has round caps)
+ */
+function buildBezierPath(points) {
+  if (points.length === 1) {
+    return `M${points[0].x.toFixed(1)},${points[0].y.toFixed(1)} l0,0`;
+  }
+
+  // Catmull-Rom style bezier (same smoothing as the hand-tuned design curve)
+  let path = `M${points[0].x.toFixed(1)},${points[0].y.toFixed(1)}`;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[Math.max(0, i - 1)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(points.length - 1, i + 2)];
+
+    const cp1x = p1.x + (p2.x - p0.x) / 6;
+    const cp1y = p1.y + (p2.y - p0.y) / 6;
+    const cp2x = p2.x - (p3.x - p1.x) / 6;
+    const cp2y = p2.y - (p3.y - p1.y) / 6;
+
+    path += ` C${cp1x.toFixed(1)},${cp1y.toFixed(1)} ${cp2x.toFixed(1)},${cp2y.toFixed(1)} ${p2.x.toFixed(1)},${p2.y.toFixed(1)}`;
+  }
+
+  return path;
+}
+
+/**
+ * Glucose value at a timestamp, linearly interpolated between readings
+ * Returns null outside the recorded history
+ */
+function getGlucoseAtTime(readings, timestamp) {
+  if (!readings.length) return null;
+  if (timestamp < readings[0].timestamp) return null;
+
+  for (let i = readings.length - 1; i >= 0; i--) {
+    const reading = readings[i];
+    if (reading.timestamp <= timestamp) {
+      const next = readings[i + 1];
+      if (!next) return reading.value;
+
+      const t = (timestamp - reading.timestamp) / (next.timestamp - reading.timestamp);
+      return reading.value + t * (next.value - reading.value);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Glucose at a timestamp only where the graph has data: interpolated along an unbroken
+ * stretch of line, otherwise the nearest reading within maxGap. Null inside a signal gap,
+ * after the sensor went quiet or outside the history - never bridged from an old reading.
+ */
+function getGlucoseNearTime(readings, timestamp, maxGap = GRAPH_MAX_GAP) {
+  const nextIndex = readings.findIndex(r => r.timestamp >= timestamp);
+  const before = nextIndex === -1 ? readings[readings.length - 1] : readings[nextIndex - 1];
+  const after = nextIndex === -1 ? null : readings[nextIndex];
+
+  if (after && after.timestamp === timestamp) return after.value;
+  if (before && after && after.timestamp - before.timestamp <= maxGap) {
+    return getGlucoseAtTime(readings, timestamp);
+  }
+
+  const nearest = [before, after]
+    .filter(r => r && Math.abs(r.timestamp - timestamp) <= maxGap)
+    .sort((a, b) => Math.abs(a.timestamp - timestamp) - Math.abs(b.timestamp - timestamp))[0];
+  return nearest ? nearest.value : null;
+}
+
+// Export for use in graph slider
+window.GRAPH_MAX_GAP = GRAPH_MAX_GAP;
+window.buildGlucosePath = buildGlucosePath;
+window.getGlucoseAtTime = getGlucoseAtTime;
+window.getGlucoseNearTime = getGlucoseNearTime;
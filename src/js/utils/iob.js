@@ -0,0 +1,89 @@
+/**
+ * Insulin On Board
+ * How much rapid ("brzi") insulin from logged doses is still active.
+ * Exponential action curves (peak + duration of action), as used by open-source
+ * closed-loop systems for rapid-acting analogues.
+ */
+
+// Action curves: minutes to peak activity for each insulin profile
+const INSULIN_CURVES = {
+  rapid: { label: 'Brzi analog', peak: 75 },          // Humalog, NovoRapid, Apidra
+  'ultra-rapid': { label: 'Ultrabrzi', peak: 55 }     // Fiasp, Lyumjev
+};
+
+const DEFAULT_INSULIN_DURATION = 5; // Hours
+const MIN_INSULIN_DURATION = 3;
+const MAX_INSULIN_DURATION = 8;
+
+// Only rapid insulin counts towards IOB (basal is not tracked as a bolus)
+const IOB_TREATMENT_TYPES = ['brzi'];
+
+/**
+ * Fraction of a dose still active after `minutes` (1 at injection → 0 at duration)
+ * @param {number} minutes - Time since the dose
+ * @param {Object} options - { peak (minutes), duration (hours) }
+ */
+function getInsulinRemaining(minutes, options) {
+  const duration = options.duration * 60;
+  if (minutes <= 0) return 1;
+  if (minutes >= duration) return 0;
+
+  // Exponential curve with the given peak (peak must stay below half the duration)
+  const peak = Math.min(options.peak, duration / 2 - 1);
+  const tau = peak * (1 - peak / duration) / (1 - 2 * peak / duration);
+  const a = 2 * tau / duration;
+  const S = 1 / (1 - a + (1 + a) * Math.exp(-duration / tau));
+
+  const remaining = 1 - S * (1 - a) *
+    ((Math.pow(minutes, 2) / (tau * duration * (1 - a)) - minutes / tau - 1) * Math.exp(-minutes / tau) + 1);
+
+  return Math.max(0, Math.min(1, remaining));
+}
+
+/**
+ * Insulin on board at a moment
+ * @param {Array} entries - Journal entries { type, amount, timestamp }
+ * @param {number} at - Timestamp to calculate IOB for
+ * @param {Object} options - { curve, duration } (defaults from settings)
+ * @returns {number} Units still active
+ */
+function calculateIob(entries, at, options = getIobOptions()) {
+  const curve = INSULIN_CURVES[options.curve] || INSULIN_CURVES.rapid;
+  const curveOptions = { peak: curve.peak, duration: options.duration };
+
+  return entries.reduce((total, entry) => {
+    if (!IOB_TREATMENT_TYPES.includes(entry.type) || entry.timestamp > at) return total;
+    const minutes = (at - entry.timestamp) / 60000;
+    return total + entry.amount * getInsulinRemaining(minutes, curveOptions);
+  }, 0);
+}
+
+/**
+ * The user's insulin action settings: { curve, duration (hours) }
+ */
+function getIobOptions() {
+  const settings = window.sweetieSettings;
+  const duration = settings ? Number(settings.get('insulinDuration')) : DEFAULT_INSULIN_DURATION;
+
+  return {
+    curve: settings ? settings.get('insulinCurve') : 'rapid',
+    duration: Number.isFinite(duration)
+      ? Math.max(MIN_INSULIN_DURATION, Math.min(MAX_INSULIN_DURATION, duration))
+      : DEFAULT_INSULIN_DURATION
+  };
+}
+
+/**
+ * Format insulin units for display (European comma): "2,4 j"
+ */
+function formatInsulin(units) {
+  return `${units.toFixed(1).replace('.', ',')} j`;
+}
+
+// Export for app and graph
+window.INSULIN_CURVES = INSULIN_CURVES;
+window.DEFAULT_INSULIN_DURATION = DEFAULT_INSULIN_DURATION;
+window.getInsulinRemaining = getInsulinRemaining;
+window.calculateIob = calculateIob;
+window.getIobOptions = getIobOptions;
+window.formatInsulin = formatInsulin;
@@ -0,0 +1,107 @@
+/**
+ * Treatment Types
+ * Labels and graph marker icons for journal entries (insulin, honey, meals, activity, sensor changes)
+ */
+
+/**
+ * Activity kinds and intensities - effort scales the expected glucose drop
+ * (1.0 = moderate cycling)
+ */
+const ACTIVITY_TYPES = {
+  walk: { label: 'Šetnja', effort: 0.6 },
+  run: { label: 'Trčanje', effort: 1.3 },
+  cycling: { label: 'Bicikl', effort: 1.0 },
+  gym: { label: 'Teretana', effort: 0.7 }
+};
+
+const ACTIVITY_INTENSITIES = {
+  low: { label: 'Lagano', effort: 0.6 },
+  medium: { label: 'Umjereno', effort: 1.0 },
+  high: { label: 'Jako', effort: 1.5 }
+};
+
+/**
+ * Effort multiplier for an activity entry's details { activity, intensity }
+ */
+function getActivityEffort(details = {}) {
+  const activity = ACTIVITY_TYPES[details.activity];
+  const intensity = ACTIVITY_INTENSITIES[details.intensity];
+  return (activity ? activity.effort : 1) * (intensity ? intensity.effort : 1);
+}
+
+// Marker icons drawn in a 10×10 box centered on the marker position
+const TREATMENT_ICONS = {
+  drop: 'M0,-5 C2,-2.2 3.5,-0.4 3.5,1.5 A3.5,3.5 0 0,1 -3.5,1.5 C-3.5,-0.4 -2,-2.2 0,-5 Z',
+  honeycomb: 'M0,-4.5 L3.9,-2.25 L3.9,2.25 L0,4.5 L-3.9,2.25 L-3.9,-2.25 Z',
+  plate: 'M0,-4.5 A4.5,4.5 0 1,1 0,4.5 A4.5,4.5 0 1,1 0,-4.5 Z M0,-2 A2,2 0 1,0 0,2 A2,2 0 1,0 0,-2 Z',
+  bolt: 'M1,-5 L-3.2,0.8 L-0.2,0.8 L-1,5 L3.2,-0.8 L0.2,-0.8 Z',
+  sensor: 'M0,-4 A4,4 0 1,1 0,4 A4,4 0 1,1 0,-4 Z M0,-1.2 A1.2,1.2 0 1,0 0,1.2 A1.2,1.2 0 1,0 0,-1.2 Z'
+};
+
+/**
+ * Known treatment types
+ * - icon: marker icon, outline: draw the icon as an outline instead of filled
+ * - label(entry): short text for the graph scrub label
+ */
+const TREATMENT_TYPES = {
+  brzi: {
+    icon: 'drop',
+    outline: false,
+    label: entry => `${entry.amount} j. brzog`
+  },
+  dnevni: {
+    icon: 'drop',
+    outline: true,
+    label: entry => `${entry.amount} j. dnevnog`
+  },
+  med: {
+    icon: 'honeycomb',
+    outline: false,
+    label: entry => (entry.amount === 1 ? 'med' : `${entry.amount} meda`)
+  },
+  meal: {
+    icon: 'plate',
+    outline: false,
+    label: entry => `obrok ${entry.amount} g`
+  },
+  activity: {
+    icon: 'bolt',
+    outline: false,
+    label: (entry) => {
+      const activity = ACTIVITY_TYPES[entry.details && entry.details.activity];
+      return `${activity ? activity.label.toLowerCase() : 'aktivnost'} ${entry.amount} min`;
+    }
+  },
+  sensor: {
+    icon: 'sensor',
+    outline: true,
+    label: () => 'novi senzor'
+  }
+};
+
+/**
+ * Short description of a journal entry (e.g. "4 j. brzog")
+ */
+function getTreatmentLabel(entry) {
+  const type = TREATMENT_TYPES[entry.type];
+  return type ? type.label(entry) : `${entry.type} ${entry.amount}`;
+}
+
+/**
+ * Marker icon for a journal entry: { path, outline }
+ */
+function getTreatmentIcon(entry) {
+  const type = TREATMENT_TYPES[entry.type];
+  return {
+    path: TREATMENT_ICONS[type ? type.icon : 'drop'],
+    outline: type ? type.outline : true
+  };
+}
+
+// Export for graph and app
+window.TREATMENT_TYPES = TREATMENT_TYPES;
+window.ACTIVITY_TYPES = ACTIVITY_TYPES;
+window.ACTIVITY_INTENSITIES = ACTIVITY_INTENSITIES;
+window.getActivityEffort = getActivityEffort;
+window.getTreatmentLabel = getTreatmentLabel;
+window.getTreatmentIcon = getTreatmentIcon;
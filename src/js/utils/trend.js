@@ -0,0 +1,74 @@
+/**
+ * Trend Calculator
+ * Derives the trend arrow from the glucose rate of change over recent readings
+ */
+
+// Trend angles: 0=up (rising fast), 45=up-right (rising), 90=right (stable), 135=down-right (falling), 180=down (falling fast)
+const TREND_ANGLES = [0, 45, 90, 135, 180];
+
+// Standard CGM rate thresholds in mmol/L per minute (~2 and ~1 mg/dL per minute)
+const TREND_RATE_THRESHOLDS = {
+  FAST: 0.11,
+  SLOW: 0.06
+};
+
+const TREND_WINDOW = 15 * 60 * 1000;   // Look back 15 minutes
+const TREND_MIN_READINGS = 3;          // Need at least 3 readings...
+const TREND_MIN_SPAN = 10 * 60 * 1000; // ...spanning at least 10 minutes
+
+/**
+ * Calculate trend from readings
+ * @param {Array} readings - { value, timestamp }, oldest first
+ * @param {number} endTime - Trend at this moment (defaults to latest reading)
+ * @returns {{ angle: number|null, rate: number|null }} angle is null when unknown
+ */
+function calculateTrend(readings, endTime) {
+  const unknown = { angle: null, rate: null };
+  if (!readings || readings.length === 0) return unknown;
+
+  const end = endTime !== undefined ? endTime : readings[readings.length - 1].timestamp;
+  const recent = readings.filter(r => r.timestamp <= end && r.timestamp >= end - TREND_WINDOW);
+
+  if (recent.length < TREND_MIN_READINGS) return unknown;
+  if (recent[recent.length - 1].timestamp - recent[0].timestamp < TREND_MIN_SPAN) return unknown;
+
+  const rate = getRateOfChange(recent);
+  return { angle: getTrendAngleForRate(rate), rate };
+}
+
+/**
+ * Least-squares slope through readings in mmol/L per minute
+ */
+function getRateOfChange(readings) {
+  const t0 = readings[0].timestamp;
+  const n = readings.length;
+  let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+
+  readings.forEach(({ value, timestamp }) => {
+    const x = (timestamp - t0) / 60000;
+    sumX += x;
+    sumY += value;
+    sumXY += x * value;
+    sumXX += x * x;
+  });
+
+  const denominator = n * sumXX - sumX * sumX;
+  if (denominator === 0) return 0;
+  return (n * sumXY - sumX * sumY) / denominator;
+}
+
+/**
+ * Map a rate (mmol/L per minute) to one of the five trend angles
+ */
+function getTrendAngleForRate(rate) {
+  if (rate > TREND_RATE_THRESHOLDS.FAST) return TREND_ANGLES[0];   // Rising fast
+  if (rate > TREND_RATE_THRESHOLDS.SLOW) return TREND_ANGLES[1];   // Rising
+  if (rate >= -TREND_RATE_THRESHOLDS.SLOW) return TREND_ANGLES[2]; // Stable
+  if (rate >= -TREND_RATE_THRESHOLDS.FAST) return TREND_ANGLES[3]; // Falling
+  return TREND_ANGLES[4];                                          // Falling fast
+}
+
+// Export for store, graph and app
+window.TREND_ANGLES = TREND_ANGLES;
+window.calculateTrend = calculateTrend;
+window.getRateOfChange = getRateOfChange;
@@ -0,0 +1,61 @@
+/**
+ * Glucose Units
+ * Values are stored in mmol/L everywhere; conversion happens only at the display/input edge
+ */
+
+const GLUCOSE_UNITS = {
+  MMOL: 'mmol',
+  MGDL: 'mgdl'
+};
+
+const MGDL_PER_MMOL = 18.0182;
+
+/**
+ * Convert a stored mmol/L value to the given display unit
+ */
+function mmolToUnit(value, unit) {
+  return unit === GLUCOSE_UNITS.MGDL ? value * MGDL_PER_MMOL : value;
+}
+
+/**
+ * Convert a value in the given unit to mmol/L for storage
+ */
+function unitToMmol(value, unit) {
+  return unit === GLUCOSE_UNITS.MGDL ? value / MGDL_PER_MMOL : value;
+}
+
+/**
+ * Format a stored mmol/L value for display
+ * mmol/L: one decimal with European comma (6,5) - mg/dL: integer (117)
+ */
+function formatGlucose(value, unit) {
+  if (unit === GLUCOSE_UNITS.MGDL) {
+    return Math.round(mmolToUnit(value, unit)).toString();
+  }
+  return value.toFixed(1).replace('.', ',');
+}
+
+/**
+ * Unit label for display
+ */
+function getGlucoseUnitLabel(unit) {
+  return unit === GLUCOSE_UNITS.MGDL ? 'mg/dL' : 'mmol/L';
+}
+
+/**
+ * Slider/picker range for glucose input in the given unit
+ */
+function getGlucoseInputRange(unit) {
+  if (unit === GLUCOSE_UNITS.MGDL) {
+    return { min: 36, max: 270, step: 1 };
+  }
+  return { min: 2, max: 15, step: 0.1 };
+}
+
+// Export
+window.GLUCOSE_UNITS = GLUCOSE_UNITS;
+window.mmolToUnit = mmolToUnit;
+window.unitToMmol = unitToMmol;
+window.formatGlucose = formatGlucose;
+window.getGlucoseUnitLabel = getGlucoseUnitLabel;
+window.getGlucoseInputRange = getGlucoseInputRange;
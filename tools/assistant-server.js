@@ -0,0 +1,128 @@
+/**
+ * Assistant Stand-in Server
+ * Local replacement for a language model endpoint, for developing the assistant's 'http'
+ * provider (src/js/data/assistant-providers.js) without network access or API keys.
+ *
+ * Run:   node tools/assistant-server.js   (PORT=8787 by default)
+ * Then:  sweetieSettings.set('assistantProvider', 'http') in the browser console
+ *
+ * POST /assistant with { messages, context } as JSON; the reply streams back as
+ * newline-delimited JSON - { "token": "..." } per word, then { "done": true }.
+ * Replies are built from the question and context only, so the same request gives the same answer.
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN_DELAY = Number(process.env.TOKEN_DELAY) || 60; // ms between streamed words
+
+const TREND_LABELS = {
+  risingFast: 'brzo raste',
+  rising: 'raste',
+  stable: 'stabilno',
+  falling: 'pada',
+  fallingFast: 'brzo pada'
+};
+
+/**
+ * Reply for a conversation and context snapshot
+ */
+function buildReply(messages, context) {
+  const question = [...messages].reverse().find(message => message && message.role === 'user');
+  if (!question) return 'Pitaj me nešto';
+  if (!context || !context.glucose) return 'Server: nema očitanja glukoze';
+
+  let reply = `Server: ${context.glucose.display} ${context.unitLabel}`;
+  if (context.trend) reply += `, ${TREND_LABELS[context.trend.direction] || context.trend.direction}`;
+  if (context.iob > 0) reply += ` · IOB ${String(context.iob).replace('.', ',')} j`;
+  return reply;
+}
+
+function sendCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write the reply one word at a time (stops early when the app aborts the request)
+ */
+function streamReply(res, text) {
+  const tokens = text.match(/\S+\s*/g) || [];
+  let index = 0;
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8' });
+
+  const next = () => {
+    if (closed) return;
+    if (index >= tokens.length) {
+      res.end(`${JSON.stringify({ done: true })}\n`);
+      return;
+    }
+    res.write(`${JSON.stringify({ token: tokens[index] })}\n`);
+    index++;
+    setTimeout(next, TOKEN_DELAY);
+  };
+  next();
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: message }));
+}
+
+async function handleRequest(req, res) {
+  sendCors(res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST' || req.url !== '/assistant') {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  let request;
+  try {
+    request = JSON.parse(await readBody(req));
+  } catch (error) {
+    request = null;
+  }
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    sendError(res, 400, 'Request body must be JSON { messages, context }');
+    return;
+  }
+
+  const messages = Array.isArray(request.messages) ? request.messages : [];
+  console.log(`Assistant: ${messages.length} message(s), glucose ${request.context && request.context.glucose ? request.context.glucose.display : '—'}`);
+  streamReply(res, buildReply(messages, request.context));
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (error) {
+    console.error('Assistant: request failed', error);
+    if (!res.headersSent) sendError(res, 500, 'Internal error');
+    else res.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Assistant stand-in listening on http://localhost:${PORT}/assistant`);
+});